@@ -12,6 +12,10 @@ let characterClock;
 let characterAnimations = {};
 let currentAnimation = 'idle';
 let isCharacterInitialized = false;
+let characterGltf = null; // Loaded model and clips, used to build remote player characters
+
+// Remote player characters, each with its own mixer (root object -> { mixer, animations, currentAnimation })
+const otherCharacters = new Map();
 
 // Animation settings
 const CHARACTER_SCALE = 1.5;
@@ -22,6 +26,20 @@ const CHARACTER_JUMP_FORCE = 8; // Force applied when character jumps
 // Character model URL - we'll use a placeholder until we have a real model
 const CHARACTER_MODEL_URL = 'assets/models/character.glb';
 
+// Animations to use when the model doesn't have the one we want
+const ANIMATION_FALLBACKS = {
+    'dash': 'run',
+    'slide': 'run',
+    'wallRun': 'jump',
+    'zipline': 'jump',
+    'launch': 'jump',
+    'doubleJump': 'jump',
+    'jump': 'idle',
+    'fall': 'idle',
+    'run': 'walk',
+    'walk': 'idle'
+};
+
 /**
  * Initialize the character
  */
@@ -63,8 +81,9 @@ function loadCharacterModel() {
         function(gltf) {
             console.log("Character model loaded successfully", gltf);
             
-            // Store the model
+            // Store the model (and keep the clips for remote players)
             characterModel = gltf.scene;
+            characterGltf = gltf;
             
             // Scale the model
             characterModel.scale.set(CHARACTER_SCALE, CHARACTER_SCALE, CHARACTER_SCALE);
@@ -234,7 +253,13 @@ function createPlaceholderCharacter() {
             const speed = Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z);
             const time = performance.now() * 0.005;
             
-            if (state.dashing) {
+            if (state.ziplining) {
+                // Zip line animation: hanging by both hands, legs trailing
+                leftArm.rotation.x = Math.PI;
+                rightArm.rotation.x = Math.PI;
+                leftLeg.rotation.x = -Math.PI / 12;
+                rightLeg.rotation.x = -Math.PI / 12;
+            } else if (state.dashing) {
                 // Dash animation
                 const dashPose = Math.sin(time * 5);
                 leftArm.rotation.z = -Math.PI / 4;
@@ -260,6 +285,12 @@ function createPlaceholderCharacter() {
                 leftArm.rotation.x = -Math.PI / 6 + wallRunCycle * 0.2;
                 rightArm.rotation.x = -Math.PI / 6 - wallRunCycle * 0.2;
                 torso.rotation.z = Math.PI / 12;
+            } else if (state.launched) {
+                // Launch animation: arms spread, legs tucked
+                leftArm.rotation.z = -Math.PI / 2;
+                rightArm.rotation.z = Math.PI / 2;
+                leftLeg.rotation.x = Math.PI / 4;
+                rightLeg.rotation.x = Math.PI / 4;
             } else if (state.jumping || state.doubleJumping) {
                 // Jump animation
                 leftLeg.rotation.x = Math.PI / 6;
@@ -310,7 +341,9 @@ function createPlaceholderCharacter() {
         'fall': { play: function() {}, fadeOut: function() {}, reset: function() { return this; }, fadeIn: function() { return this; } },
         'dash': { play: function() {}, fadeOut: function() {}, reset: function() { return this; }, fadeIn: function() { return this; } },
         'slide': { play: function() {}, fadeOut: function() {}, reset: function() { return this; }, fadeIn: function() { return this; } },
-        'wallRun': { play: function() {}, fadeOut: function() {}, reset: function() { return this; }, fadeIn: function() { return this; } }
+        'wallRun': { play: function() {}, fadeOut: function() {}, reset: function() { return this; }, fadeIn: function() { return this; } },
+        'launch': { play: function() {}, fadeOut: function() {}, reset: function() { return this; }, fadeIn: function() { return this; } },
+        'zipline': { play: function() {}, fadeOut: function() {}, reset: function() { return this; }, fadeIn: function() { return this; } }
     };
     
     isCharacterInitialized = true;
@@ -369,6 +402,120 @@ function updateCharacterRotation(movementDirection) {
     return characterModel ? characterModel.rotation.y : 0;
 }
 
+/**
+ * Get the animation a movement state calls for
+ * @param {Object} movementState - Player movement state
+ * @returns {string} Animation name (before fallbacks)
+ */
+function getAnimationForState(movementState) {
+    // Determine which animation to play based on priority
+    if (movementState.ziplining) {
+        return 'zipline';
+    } else if (movementState.dashing) {
+        return 'dash';
+    } else if (movementState.sliding) {
+        return 'slide';
+    } else if (movementState.wallRunning) {
+        return 'wallRun';
+    } else if (movementState.launched) {
+        return 'launch';
+    } else if (movementState.doubleJumping) {
+        return 'doubleJump';
+    } else if (movementState.jumping) {
+        return 'jump';
+    } else if (movementState.falling) {
+        return 'fall';
+    } else if (movementState.moving) {
+        return movementState.running ? 'run' : 'walk';
+    }
+    
+    return 'idle';
+}
+
+/**
+ * Pick an animation the model actually has
+ * @param {string} targetAnimation - Wanted animation
+ * @param {Object} animations - Animation actions by name
+ * @returns {string|null} Animation to play, or null if there are none
+ */
+function resolveAnimation(targetAnimation, animations) {
+    if (animations[targetAnimation]) {
+        return targetAnimation;
+    }
+    
+    // Try to use the fallback animation
+    const fallback = ANIMATION_FALLBACKS[targetAnimation];
+    if (fallback && animations[fallback]) {
+        return fallback;
+    }
+    
+    // If we still don't have a valid animation, use the first available one
+    const availableAnimations = Object.keys(animations);
+    if (availableAnimations.length > 0) {
+        console.log(`No suitable animation found, using ${availableAnimations[0]} as fallback`);
+        return availableAnimations[0];
+    }
+    
+    console.warn("No animations available");
+    return null;
+}
+
+/**
+ * Crossfade between two animations
+ * @param {Object} animations - Animation actions by name
+ * @param {string} fromAnimation - Animation playing now
+ * @param {string} toAnimation - Animation to switch to
+ * @returns {boolean} Whether the crossfade started
+ */
+function crossfadeAnimation(animations, fromAnimation, toAnimation) {
+    const current = animations[fromAnimation];
+    const target = animations[toAnimation];
+    
+    if (!current || !target) {
+        return false;
+    }
+    
+    // Adjust fade time based on animation type for more natural transitions
+    let fadeTime = ANIMATION_FADE_TIME;
+    
+    // Quick transitions for action animations
+    if (toAnimation === 'jump' || toAnimation === 'doubleJump' || 
+        toAnimation === 'fall' || toAnimation === 'dash' || 
+        toAnimation === 'slide' || toAnimation === 'wallRun' ||
+        toAnimation === 'launch' || toAnimation === 'zipline') {
+        fadeTime = ANIMATION_FADE_TIME / 2;
+    }
+    
+    // Slower transitions between walk and run
+    if ((fromAnimation === 'walk' && toAnimation === 'run') || 
+        (fromAnimation === 'run' && toAnimation === 'walk')) {
+        fadeTime = ANIMATION_FADE_TIME * 1.5;
+    }
+    
+    // Special handling for dash animation
+    if (toAnimation === 'dash') {
+        // Make dash animation play faster
+        target.timeScale = 1.5;
+    } else {
+        // Reset time scale for other animations
+        target.timeScale = 1.0;
+    }
+    
+    // Special handling for slide animation
+    if (toAnimation === 'slide') {
+        // Make slide animation loop during the slide
+        target.setLoop(THREE.LoopRepeat);
+    } else if (target.getLoop && target.getLoop() !== THREE.LoopRepeat) {
+        // Reset loop mode for other animations if needed
+        target.setLoop(THREE.LoopRepeat);
+    }
+    
+    current.fadeOut(fadeTime);
+    target.reset().fadeIn(fadeTime).play();
+    
+    return true;
+}
+
 /**
  * Update character animation based on movement state
  */
@@ -379,107 +526,16 @@ function updateCharacterAnimation(movementState) {
     }
     
     try {
-        let targetAnimation = 'idle';
-        
-        // Determine which animation to play based on priority
-        if (movementState.dashing) {
-            targetAnimation = 'dash';
-        } else if (movementState.sliding) {
-            targetAnimation = 'slide';
-        } else if (movementState.wallRunning) {
-            targetAnimation = 'wallRun';
-        } else if (movementState.doubleJumping) {
-            targetAnimation = 'doubleJump';
-        } else if (movementState.jumping) {
-            targetAnimation = 'jump';
-        } else if (movementState.falling) {
-            targetAnimation = 'fall';
-        } else if (movementState.moving) {
-            if (movementState.running) {
-                targetAnimation = 'run';
-            } else {
-                targetAnimation = 'walk';
-            }
-        } else {
-            targetAnimation = 'idle';
-        }
-        
         // If we don't have the target animation, use a fallback
-        if (!characterAnimations[targetAnimation]) {
-            // Define fallback animations
-            const fallbacks = {
-                'dash': 'run',
-                'slide': 'run',
-                'wallRun': 'jump',
-                'doubleJump': 'jump',
-                'jump': 'idle',
-                'fall': 'idle',
-                'run': 'walk',
-                'walk': 'idle'
-            };
-            
-            // Try to use the fallback animation
-            if (fallbacks[targetAnimation] && characterAnimations[fallbacks[targetAnimation]]) {
-                targetAnimation = fallbacks[targetAnimation];
-            } else {
-                // If we still don't have a valid animation, use the first available one
-                const availableAnimations = Object.keys(characterAnimations);
-                if (availableAnimations.length > 0) {
-                    targetAnimation = availableAnimations[0];
-                    console.log(`No suitable animation found, using ${targetAnimation} as fallback`);
-                } else {
-                    console.warn("No animations available");
-                    return currentAnimation;
-                }
-            }
+        const targetAnimation = resolveAnimation(getAnimationForState(movementState), characterAnimations);
+        if (!targetAnimation) {
+            return currentAnimation;
         }
         
         // If animation changed, crossfade to new animation
-        if (targetAnimation !== currentAnimation && characterAnimations[targetAnimation]) {
-            const current = characterAnimations[currentAnimation];
-            const target = characterAnimations[targetAnimation];
-            
-            if (current && target) {
-                // Adjust fade time based on animation type for more natural transitions
-                let fadeTime = ANIMATION_FADE_TIME;
-                
-                // Quick transitions for action animations
-                if (targetAnimation === 'jump' || targetAnimation === 'doubleJump' || 
-                    targetAnimation === 'fall' || targetAnimation === 'dash' || 
-                    targetAnimation === 'slide' || targetAnimation === 'wallRun') {
-                    fadeTime = ANIMATION_FADE_TIME / 2;
-                }
-                
-                // Slower transitions between walk and run
-                if ((currentAnimation === 'walk' && targetAnimation === 'run') || 
-                    (currentAnimation === 'run' && targetAnimation === 'walk')) {
-                    fadeTime = ANIMATION_FADE_TIME * 1.5;
-                }
-                
-                // Special handling for dash animation
-                if (targetAnimation === 'dash') {
-                    // Make dash animation play faster
-                    target.timeScale = 1.5;
-                } else {
-                    // Reset time scale for other animations
-                    target.timeScale = 1.0;
-                }
-                
-                // Special handling for slide animation
-                if (targetAnimation === 'slide') {
-                    // Make slide animation loop during the slide
-                    target.setLoop(THREE.LoopRepeat);
-                } else if (target.getLoop && target.getLoop() !== THREE.LoopRepeat) {
-                    // Reset loop mode for other animations if needed
-                    target.setLoop(THREE.LoopRepeat);
-                }
-                
-                current.fadeOut(fadeTime);
-                target.reset().fadeIn(fadeTime).play();
-                
-                console.log(`Changed animation from ${currentAnimation} to ${targetAnimation}`);
-                currentAnimation = targetAnimation;
-            }
+        if (targetAnimation !== currentAnimation && crossfadeAnimation(characterAnimations, currentAnimation, targetAnimation)) {
+            console.log(`Changed animation from ${currentAnimation} to ${targetAnimation}`);
+            currentAnimation = targetAnimation;
         }
     } catch (error) {
         console.error("Error updating character animation:", error);
@@ -488,6 +544,113 @@ function updateCharacterAnimation(movementState) {
     return currentAnimation;
 }
 
+/**
+ * Clone the character model, giving skinned meshes their own skeleton
+ * @param {THREE.Object3D} source - Loaded character model
+ */
+function cloneCharacterModel(source) {
+    // Object3D.clone() leaves skinned meshes bound to the original bones
+    const clone = source.clone();
+    
+    const sourceNodes = [];
+    const cloneNodes = [];
+    source.traverse(node => sourceNodes.push(node));
+    clone.traverse(node => cloneNodes.push(node));
+    
+    // Rebind each skinned mesh to the cloned bones
+    cloneNodes.forEach((node, i) => {
+        if (node.isSkinnedMesh) {
+            const sourceMesh = sourceNodes[i];
+            const bones = sourceMesh.skeleton.bones.map(bone => cloneNodes[sourceNodes.indexOf(bone)]);
+            node.bind(new THREE.Skeleton(bones, sourceMesh.skeleton.boneInverses), sourceMesh.bindMatrix);
+        }
+    });
+    
+    return clone;
+}
+
+/**
+ * Create a character for a remote player, with its own animation mixer
+ * @returns {THREE.Object3D} Root object to position at the player's body
+ */
+function createOtherCharacterMesh() {
+    // Without the loaded model, fall back to the simple player mesh
+    if (!characterGltf) {
+        return window.player.createOtherPlayerMesh();
+    }
+    
+    // Copy the model, undoing the local player's transform
+    const model = cloneCharacterModel(characterGltf.scene);
+    model.position.set(0, -CHARACTER_Y_OFFSET, 0);
+    model.rotation.set(0, 0, 0);
+    model.scale.set(CHARACTER_SCALE, CHARACTER_SCALE, CHARACTER_SCALE);
+    
+    // The root follows the player's body; the model sits below it like the local character
+    const root = new THREE.Group();
+    root.name = "other_character";
+    root.add(model);
+    
+    // Build this character's own actions from the loaded clips
+    const mixer = new THREE.AnimationMixer(model);
+    const animations = {};
+    characterGltf.animations.forEach(clip => {
+        animations[clip.name.toLowerCase()] = mixer.clipAction(clip);
+    });
+    
+    const otherCharacter = {
+        mixer: mixer,
+        animations: animations,
+        currentAnimation: resolveAnimation('idle', animations)
+    };
+    if (otherCharacter.currentAnimation) {
+        animations[otherCharacter.currentAnimation].play();
+    }
+    
+    otherCharacters.set(root, otherCharacter);
+    window.gameScene.getScene().add(root);
+    
+    return root;
+}
+
+/**
+ * Play an animation received from the network on a remote player's character
+ * @param {THREE.Object3D} mesh - Root returned by createOtherCharacterMesh
+ * @param {string} animation - Wanted animation
+ */
+function playOtherCharacterAnimation(mesh, animation) {
+    const otherCharacter = otherCharacters.get(mesh);
+    if (!otherCharacter) {
+        // Simple mesh without animations
+        return;
+    }
+    
+    try {
+        const targetAnimation = resolveAnimation(animation, otherCharacter.animations);
+        if (targetAnimation && targetAnimation !== otherCharacter.currentAnimation &&
+            crossfadeAnimation(otherCharacter.animations, otherCharacter.currentAnimation, targetAnimation)) {
+            otherCharacter.currentAnimation = targetAnimation;
+        }
+    } catch (error) {
+        console.error("Error updating remote character animation:", error);
+    }
+}
+
+/**
+ * Remove a remote player's character from the scene
+ * @param {THREE.Object3D} mesh - Root returned by createOtherCharacterMesh
+ */
+function removeOtherCharacterMesh(mesh) {
+    const otherCharacter = otherCharacters.get(mesh);
+    if (otherCharacter) {
+        // Stop its animations and free the cached actions
+        otherCharacter.mixer.stopAllAction();
+        otherCharacter.mixer.uncacheRoot(otherCharacter.mixer.getRoot());
+        otherCharacters.delete(mesh);
+    }
+    
+    window.gameScene.getScene().remove(mesh);
+}
+
 /**
  * Update character animations
  */
@@ -501,6 +664,9 @@ function updateCharacter(deltaTime) {
         if (characterMixer && typeof characterMixer.update === 'function') {
             characterMixer.update(deltaTime);
         }
+        
+        // Update remote players' mixers
+        otherCharacters.forEach(otherCharacter => otherCharacter.mixer.update(deltaTime));
     } catch (error) {
         console.error("Error updating character animations:", error);
     }
@@ -520,5 +686,9 @@ window.character = {
     updateCharacterPosition,
     updateCharacterRotation,
     updateCharacterAnimation,
+    getAnimationForState,
+    createOtherCharacterMesh,
+    playOtherCharacterAnimation,
+    removeOtherCharacterMesh,
     isInitialized
 }; 
\ No newline at end of file
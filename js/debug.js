@@ -91,6 +91,7 @@ function addPhysicsDebug(container) {
         <h3>Physics</h3>
         <p>Bodies: <span id="physics-bodies">0</span></p>
         <p>Contacts: <span id="physics-contacts">0</span></p>
+        <p>Tower seed: <span id="tower-seed">-</span></p>
     `;
     
     container.appendChild(physicsSection);
@@ -117,6 +118,12 @@ function updatePhysicsDebug() {
     if (contactsCounter) {
         contactsCounter.textContent = world.contacts.length;
     }
+    
+    // Update tower seed so it can be copied into bug reports
+    const seedLabel = document.getElementById('tower-seed');
+    if (seedLabel && window.tiles && window.tiles.getSeed) {
+        seedLabel.textContent = window.tiles.getSeed();
+    }
 }
 
 /**
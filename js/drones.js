@@ -0,0 +1,232 @@
+/**
+ * drones.js - Patrolling drones that knock players off
+ *
+ * This file builds the drones tower.js places with some tiles and flies them
+ * every simulation tick: along a loop from one tile up to the next, or round
+ * the edge of a tile. Their routes come from the tower seed and they're driven
+ * by the tower clock, so every player on a shared tower sees the same patrols.
+ * A drone is a kinematic trigger body: touching it doesn't block the player,
+ * it knocks them away.
+ */
+
+// Drone variables
+const drones = []; // Active drones, each belonging to the tile it flies to or round
+const { DRONE_TYPES } = window.tower;
+const DRONE_RADIUS = 0.5; // Radius of a drone's body
+const DRONE_KNOCKBACK_SPEED = 10; // Speed (m/s) a hit knocks the player away at
+const DRONE_KNOCKBACK_LIFT = 4; // Upward speed (m/s) a hit gives the player
+const DRONE_HIT_COOLDOWN = 1000; // ms before the same drone can hit the player again
+const DRONE_ROTOR_SPEED = 30; // How fast (rad/s) the rotors turn
+
+/**
+ * Create the drone a tile descriptor comes with
+ * @param {Object} descriptor - Tile layout from tower.js, with a drone
+ */
+function createDrone(descriptor) {
+    const route = descriptor.drone;
+    
+    // A patrol follows a smooth closed loop through its points
+    let curve = null;
+    if (route.type === DRONE_TYPES.PATROL) {
+        curve = new THREE.CatmullRomCurve3(route.points.map(point => new THREE.Vector3(point.x, point.y, point.z)), true);
+    } else if (route.type !== DRONE_TYPES.HOVER) {
+        console.warn(`Unknown drone type "${route.type}"`);
+        return;
+    }
+    
+    const mesh = createDroneMesh();
+    window.gameScene.getScene().add(mesh);
+    
+    // A kinematic trigger: moved by the tower clock, reporting touches without pushing back
+    const body = new CANNON.Body({
+        mass: 0,
+        type: CANNON.Body.KINEMATIC,
+        shape: new CANNON.Sphere(DRONE_RADIUS)
+    });
+    body.collisionResponse = false;
+    window.physics.getWorld().addBody(body);
+    
+    const drone = {
+        index: descriptor.index,
+        type: route.type,
+        mesh,
+        body,
+        properties: Object.assign({ curve, length: curve ? curve.getLength() : 0 }, route),
+        hitPlayer: false, // Touched the player on the last step
+        lastHit: -DRONE_HIT_COOLDOWN // Simulation time (ms) it last knocked the player away
+    };
+    
+    body.addEventListener('collide', (event) => {
+        if (window.player && event.body === window.player.getPlayerBody()) {
+            drone.hitPlayer = true;
+        }
+    });
+    
+    drones.push(drone);
+    
+    // Start where the clock says it is
+    flyDrone(drone, window.tiles.getTowerTime());
+    mesh.position.copy(body.position);
+}
+
+/**
+ * Build a drone's mesh: a body with a red eye on the front and four rotors
+ */
+function createDroneMesh() {
+    const mesh = new THREE.Group();
+    
+    const hull = new THREE.Mesh(
+        new THREE.SphereGeometry(DRONE_RADIUS * 0.7, 12, 8),
+        new THREE.MeshStandardMaterial({ color: 0x2F4F4F, metalness: 0.5, roughness: 0.5 }) // Dark slate gray
+    );
+    mesh.add(hull);
+    
+    // The eye looks along the group's z axis, the way the drone flies
+    const eye = new THREE.Mesh(new THREE.SphereGeometry(0.12, 8, 8), new THREE.MeshBasicMaterial({ color: 0xFF0000 }));
+    eye.position.z = DRONE_RADIUS * 0.65;
+    mesh.add(eye);
+    
+    const armMaterial = new THREE.MeshLambertMaterial({ color: 0x333333 });
+    const rotorMaterial = new THREE.MeshLambertMaterial({ color: 0xAAAAAA });
+    const rotors = [];
+    for (let i = 0; i < 4; i++) {
+        const angle = Math.PI / 4 + i * Math.PI / 2;
+        const x = Math.cos(angle) * DRONE_RADIUS;
+        const z = Math.sin(angle) * DRONE_RADIUS;
+        
+        const arm = new THREE.Mesh(new THREE.BoxGeometry(0.05, 0.05, DRONE_RADIUS), armMaterial);
+        arm.position.set(x / 2, 0.1, z / 2);
+        arm.rotation.y = -angle + Math.PI / 2;
+        mesh.add(arm);
+        
+        const rotor = new THREE.Mesh(new THREE.BoxGeometry(DRONE_RADIUS * 0.8, 0.02, 0.08), rotorMaterial);
+        rotor.position.set(x, 0.15, z);
+        mesh.add(rotor);
+        rotors.push(rotor);
+    }
+    mesh.userData.rotors = rotors;
+    
+    return mesh;
+}
+
+/**
+ * Remove drones from the scene and physics world
+ * @param {Function} predicate - Returns true for drones to remove
+ */
+function removeDrones(predicate) {
+    for (let i = drones.length - 1; i >= 0; i--) {
+        if (predicate(drones[i])) {
+            window.gameScene.getScene().remove(drones[i].mesh);
+            window.physics.getWorld().removeBody(drones[i].body);
+            drones.splice(i, 1);
+        }
+    }
+}
+
+/**
+ * Knock the player away from drones they touched on the last step, then fly every drone to where
+ * the tower clock says it is (called every simulation tick, before the physics step)
+ */
+function updateDrones() {
+    const time = window.tiles.getTowerTime(); // Current tower time in seconds
+    const currentTime = window.physics.getSimulationTime();
+    
+    drones.forEach(drone => {
+        if (drone.hitPlayer) {
+            drone.hitPlayer = false;
+            if (currentTime - drone.lastHit >= DRONE_HIT_COOLDOWN) {
+                drone.lastHit = currentTime;
+                knockPlayerAway(drone);
+            }
+        }
+        
+        flyDrone(drone, time);
+    });
+}
+
+/**
+ * Put a drone's body where it is on its route at a time, moving at the speed it flies
+ * @param {Object} drone - Drone to move
+ * @param {number} time - Tower time in seconds
+ */
+function flyDrone(drone, time) {
+    const { curve, length, lapTime, phase } = drone.properties;
+    const body = drone.body;
+    
+    // How far round the route it is (0-1), the same way round whichever sign the lap time has
+    const progress = ((time / lapTime + phase) % 1 + 1) % 1;
+    
+    if (drone.type === DRONE_TYPES.PATROL) {
+        const point = curve.getPointAt(progress);
+        const tangent = curve.getTangentAt(progress);
+        const speed = length / lapTime;
+        body.position.set(point.x, point.y, point.z);
+        body.velocity.set(tangent.x * speed, tangent.y * speed, tangent.z * speed);
+    } else {
+        // Round the edge of the tile
+        const { x, y, z, radius } = drone.properties;
+        const angle = progress * Math.PI * 2;
+        const angularSpeed = Math.PI * 2 / lapTime;
+        body.position.set(x + Math.cos(angle) * radius, y, z + Math.sin(angle) * radius);
+        body.velocity.set(-Math.sin(angle) * radius * angularSpeed, 0, Math.cos(angle) * radius * angularSpeed);
+    }
+}
+
+/**
+ * Knock the player away from a drone, sideways and up
+ * @param {Object} drone - Drone that hit the player
+ */
+function knockPlayerAway(drone) {
+    const playerPosition = window.player.getPlayerBody().position;
+    let dx = playerPosition.x - drone.body.position.x;
+    let dz = playerPosition.z - drone.body.position.z;
+    let distance = Math.sqrt(dx * dx + dz * dz);
+    
+    // Straight on top of it: knocked the way the drone flies
+    if (distance < 0.01) {
+        dx = drone.body.velocity.x;
+        dz = drone.body.velocity.z;
+        distance = Math.sqrt(dx * dx + dz * dz) || 1;
+    }
+    
+    const mass = window.player.getPlayerBody().mass;
+    window.player.knockBack({
+        x: dx / distance * DRONE_KNOCKBACK_SPEED * mass,
+        y: DRONE_KNOCKBACK_LIFT * mass,
+        z: dz / distance * DRONE_KNOCKBACK_SPEED * mass
+    });
+    
+    console.log(`Knocked away by a drone from tile ${drone.index}`);
+}
+
+/**
+ * Move drone meshes to where the physics step left their bodies, facing the way they fly
+ */
+function syncDrones() {
+    const time = window.tiles.getTowerTime();
+    
+    drones.forEach(drone => {
+        const { body, mesh } = drone;
+        mesh.position.copy(body.position);
+        mesh.rotation.y = Math.atan2(body.velocity.x, body.velocity.z);
+        mesh.userData.rotors.forEach(rotor => {
+            rotor.rotation.y = time * DRONE_ROTOR_SPEED;
+        });
+    });
+}
+
+/**
+ * Get the active drones
+ */
+function getDrones() {
+    return drones;
+}
+
+// Export drone functions
+window.drones = {
+    createDrone,
+    removeDrones,
+    updateDrones,
+    syncDrones,
+    getDrones
+};
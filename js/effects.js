@@ -399,6 +399,65 @@ function createJumpParticles(position, isDoubleJump) {
     particlePool.geometry.attributes.lifetime.needsUpdate = true;
 }
 
+/**
+ * Create a burst of sparkles where a collectible was picked up
+ * @param {Object} position - Position of the collectible
+ * @param {number} color - Color of the collectible (hex)
+ */
+function createPickupEffect(position, color) {
+    // Create pickup particles, in the collectible's color fading to white
+    const particleCount = 15;
+    const colors = [
+        new THREE.Color(color),
+        new THREE.Color(color).lerp(new THREE.Color(0xffffff), 0.5),
+        new THREE.Color(0xffffff)
+    ];
+    
+    for (let i = 0; i < particleCount; i++) {
+        // Get a particle from the pool
+        if (availableParticles.length === 0) return;
+        
+        const index = availableParticles.pop();
+        
+        // Set particle position (at the collectible)
+        particlePool.positions[index * 3] = position.x;
+        particlePool.positions[index * 3 + 1] = position.y;
+        particlePool.positions[index * 3 + 2] = position.z;
+        
+        // Set random velocity (outward and upward)
+        const angle = Math.random() * Math.PI * 2;
+        const velocity = {
+            x: Math.cos(angle) * (Math.random() * 0.2 + 0.1),
+            y: Math.random() * 0.3 + 0.1,
+            z: Math.sin(angle) * (Math.random() * 0.2 + 0.1)
+        };
+        
+        // Set color
+        const particleColor = colors[Math.floor(Math.random() * colors.length)];
+        particlePool.colors[index * 3] = particleColor.r;
+        particlePool.colors[index * 3 + 1] = particleColor.g;
+        particlePool.colors[index * 3 + 2] = particleColor.b;
+        
+        // Set size and lifetime
+        particlePool.sizes[index] = Math.random() * 0.15 + 0.1;
+        particlePool.lifetimes[index] = 1.0;
+        
+        // Create particle
+        particleSystems.push({
+            index: index,
+            velocity: velocity,
+            lifetime: 1.0,
+            decay: Math.random() * 0.03 + 0.02 // Random decay rate
+        });
+    }
+    
+    // Update attributes
+    particlePool.geometry.attributes.position.needsUpdate = true;
+    particlePool.geometry.attributes.color.needsUpdate = true;
+    particlePool.geometry.attributes.size.needsUpdate = true;
+    particlePool.geometry.attributes.lifetime.needsUpdate = true;
+}
+
 /**
  * Update all particle systems
  * @param {number} deltaTime - Time since last update
@@ -461,5 +520,6 @@ window.effects = {
     createDashEffect,
     createWallRunParticles,
     createSlideParticles,
-    createJumpParticles
+    createJumpParticles,
+    createPickupEffect
 }; 
\ No newline at end of file
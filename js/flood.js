@@ -0,0 +1,144 @@
+/**
+ * flood.js - Rising lava survival mode
+ *
+ * In a flood run a sheet of lava rises from below the ground and keeps rising,
+ * faster the longer the run goes on, so there's no standing still. Falling off
+ * a tile doesn't cost health as in the endless climb: the run ends when the
+ * lava catches the player. Tiles it swallows are culled and the HUD shows how
+ * far below the player it is. The flood rises on the simulation clock, so a
+ * replayed run meets it at the same moments. It's registered as a game mode
+ * (see modes.js).
+ */
+
+// Flood variables
+let floodLevel = 0; // Height (m) of the lava's surface
+let floodTicks = 0; // Simulation ticks since the flood started
+let floodCaught = false; // Whether the lava has caught the player this run
+let floodMesh = null; // The lava's surface
+
+// Flood settings
+const FLOOD_START_LEVEL = -2; // Height (m) the lava starts at, just under the ground
+const FLOOD_START_DELAY = 5000; // ms before it starts rising, to get off the ground
+const FLOOD_BASE_SPEED = 0.5; // How fast (m/s) it rises at first
+const FLOOD_ACCELERATION = 0.01; // Extra rise speed (m/s) for every second it has been rising
+const FLOOD_MAX_SPEED = 3; // Fastest it rises, about as fast as a good climb
+const FLOOD_SURFACE_SIZE = 400; // Width of the surface, which follows the player so its edge stays out of sight
+
+/**
+ * Put the flood back at the bottom for a new run, building its surface the first time
+ */
+function resetFlood() {
+    if (!floodMesh) {
+        floodMesh = new THREE.Mesh(
+            new THREE.PlaneGeometry(FLOOD_SURFACE_SIZE, FLOOD_SURFACE_SIZE),
+            new THREE.MeshStandardMaterial({
+                color: 0xFF4500, // Orange red
+                emissive: 0xFF2200,
+                emissiveIntensity: 0.6,
+                transparent: true,
+                opacity: 0.85
+            })
+        );
+        floodMesh.rotation.x = -Math.PI / 2;
+        window.gameScene.getScene().add(floodMesh);
+    }
+    
+    floodLevel = FLOOD_START_LEVEL;
+    floodTicks = 0;
+    floodCaught = false;
+    floodMesh.position.y = floodLevel;
+    floodMesh.visible = true;
+}
+
+/**
+ * Take the flood away when another mode is picked
+ */
+function drainFlood() {
+    if (floodMesh) {
+        floodMesh.visible = false;
+    }
+    
+    if (window.ui && window.ui.hideFloodDistance) {
+        window.ui.hideFloodDistance();
+    }
+}
+
+/**
+ * Raise the flood, cull the tiles it swallows and check whether it caught the player
+ * (called every simulation tick)
+ */
+function updateFlood() {
+    // Rise after the head start, a little faster every second
+    floodTicks++;
+    const risingTime = floodTicks * window.physics.FIXED_TIME_STEP - FLOOD_START_DELAY / 1000;
+    if (risingTime > 0) {
+        floodLevel += getFloodSpeed(risingTime) * window.physics.FIXED_TIME_STEP;
+    }
+    
+    window.tiles.cullTilesBelow(floodLevel);
+    
+    const playerBody = window.player.getPlayerBody();
+    const feet = playerBody.position.y - window.movement.PLAYER_HEIGHT / 2;
+    
+    floodMesh.position.set(playerBody.position.x, floodLevel, playerBody.position.z);
+    
+    if (window.ui && window.ui.updateFloodDistance) {
+        window.ui.updateFloodDistance(Math.max(0, feet - floodLevel));
+    }
+    
+    // Caught: the run is over, whatever health is left
+    if (feet < floodLevel && !floodCaught) {
+        floodCaught = true;
+        console.log(`Caught by the flood at ${floodLevel.toFixed(1)}m`);
+        window.player.takeDamage(window.player.getHealth());
+    }
+}
+
+/**
+ * Check whether the lava has caught the player this run
+ */
+function isFloodCaught() {
+    return floodCaught;
+}
+
+/**
+ * Get how fast the flood rises
+ * @param {number} risingTime - Seconds it has been rising
+ * @returns {number} Rise speed in m/s
+ */
+function getFloodSpeed(risingTime) {
+    return Math.min(FLOOD_MAX_SPEED, FLOOD_BASE_SPEED + risingTime * FLOOD_ACCELERATION);
+}
+
+/**
+ * Get the height of the flood's surface
+ */
+function getFloodLevel() {
+    return floodLevel;
+}
+
+// Export flood functions
+window.flood = {
+    resetFlood,
+    updateFlood,
+    isFloodCaught,
+    getFloodLevel
+};
+
+// Flood runs are picked as a game mode
+window.gameModes.registerMode({
+    id: 'flood',
+    name: 'Flood',
+    description: 'Lava rises from below, faster and faster. Stay above it.',
+    onStart: resetFlood,
+    onEnd: drainFlood,
+    onTick: updateFlood,
+    onPlayerFall() {}, // Falling costs nothing, the lava is the threat
+    isOver() {
+        // Hazards still cost health, so running out of it ends the run too
+        return isFloodCaught() || window.player.getHealth() <= 0;
+    },
+    getResults() {
+        return Object.assign({ floodLevel }, window.player.getRunStats());
+    }
+});
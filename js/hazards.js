@@ -0,0 +1,360 @@
+/**
+ * hazards.js - Wind zones, lasers and falling debris
+ *
+ * This file builds the hazards tower.js places on some tiles (more of them the
+ * higher the difficulty) and runs them every simulation tick. Like moving
+ * tiles they're driven by the tower clock, so every player on a shared tower
+ * sees the same laser sweeps and debris falls. Each hazard belongs to the tile
+ * it was placed on and is removed by tiles.js together with it.
+ */
+
+// Hazard variables
+const hazards = []; // Active hazards, each belonging to the tile it was placed on
+const { HAZARD_TYPES } = window.tower;
+const HAZARD_HIT_COOLDOWN = 1000; // ms before the same hazard can hurt the player again
+const lastHazardHits = new Map(); // Hazard -> simulation time (ms) it last hurt the player
+const HAZARD_PLAYER_RADIUS = 0.3; // Radius of the player's body (player.js), for telling whether a hazard touches it
+
+// Wind settings
+const WIND_STREAK_COUNT = 6; // Streaks drifting through a wind zone to show which way it blows
+const WIND_STREAK_SPEED = 0.5; // Times per second a streak crosses its zone
+
+// Laser settings
+const LASER_DAMAGE = 10; // Health lost to a laser hit
+const LASER_BEAM_RADIUS = 0.05; // Thickness of a laser beam
+
+// Debris settings
+const DEBRIS_DAMAGE = 15; // Health lost to a piece of debris
+const DEBRIS_SIZE = 1.2; // Size of a piece of debris
+const DEBRIS_DROP_HEIGHT = 4; // Height (m) debris falls from, below the tile above
+const DEBRIS_TELEGRAPH_TIME = 1.5; // Seconds a shadow shows where debris will land before it falls
+const DEBRIS_REST_TIME = 0.5; // Seconds debris lies on its tile before it goes
+
+/**
+ * Create the hazard a tile descriptor comes with
+ * @param {Object} descriptor - Tile layout from tower.js, with a hazard
+ */
+function createHazard(descriptor) {
+    const hazard = descriptor.hazard;
+    
+    switch (hazard.type) {
+        case HAZARD_TYPES.WIND:
+            createWindZone(descriptor.index, hazard);
+            break;
+        case HAZARD_TYPES.LASER:
+            createLaser(descriptor.index, hazard);
+            break;
+        case HAZARD_TYPES.DEBRIS:
+            createDebris(descriptor.index, hazard);
+            break;
+        default:
+            console.warn(`Unknown hazard type "${hazard.type}"`);
+    }
+}
+
+/**
+ * Create a wind zone that pushes the player along while they're inside it
+ * @param {number} index - Index of the tile the zone blows across
+ * @param {Object} hazard - { x, y, z, width, height, depth, direction, strength } zone (centred on
+ *                          x, y, z), direction it blows in and its push (m/s²)
+ */
+function createWindZone(index, hazard) {
+    const { x, y, z, width, height, depth, direction } = hazard;
+    
+    const mesh = new THREE.Group();
+    mesh.position.set(x, y, z);
+    
+    // A faint box showing the extent of the zone
+    const zone = new THREE.Mesh(
+        new THREE.BoxGeometry(width, height, depth),
+        new THREE.MeshBasicMaterial({ color: 0xE0FFFF, transparent: true, opacity: 0.08, depthWrite: false })
+    );
+    mesh.add(zone);
+    
+    // Streaks lined up with the wind, spread out across the zone
+    const length = direction.x !== 0 ? width : depth;
+    const streakMaterial = new THREE.MeshBasicMaterial({ color: 0xFFFFFF, transparent: true, opacity: 0.5 });
+    const streaks = [];
+    for (let i = 0; i < WIND_STREAK_COUNT; i++) {
+        const streak = new THREE.Mesh(new THREE.BoxGeometry(length * 0.2, 0.03, 0.03), streakMaterial);
+        if (direction.z !== 0) {
+            streak.rotation.y = Math.PI / 2;
+        }
+        
+        // Evenly over the height, zig-zagging across the zone
+        const across = ((i % 3) / 2 - 0.5) * 0.8;
+        streak.position.y = ((i + 0.5) / WIND_STREAK_COUNT - 0.5) * height;
+        streak.position.x = direction.z !== 0 ? across * width : 0;
+        streak.position.z = direction.x !== 0 ? across * depth : 0;
+        
+        mesh.add(streak);
+        streaks.push(streak);
+    }
+    
+    window.gameScene.getScene().add(mesh);
+    
+    hazards.push({
+        index,
+        type: HAZARD_TYPES.WIND,
+        mesh,
+        properties: Object.assign({ streaks, length }, hazard)
+    });
+}
+
+/**
+ * Create a laser beam that sweeps around over its tile
+ * @param {number} index - Index of the tile the laser sweeps over
+ * @param {Object} hazard - { x, y, z, length, sweepSpeed, sweepPhase } pivot, beam length and sweep
+ */
+function createLaser(index, hazard) {
+    const { x, y, z, length } = hazard;
+    
+    const mesh = new THREE.Group();
+    mesh.position.set(x, y, z);
+    
+    // The emitter, a post up from the tile
+    const emitter = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.15, 0.2, 0.8, 8),
+        new THREE.MeshStandardMaterial({ color: 0x333333, metalness: 0.6, roughness: 0.4 })
+    );
+    emitter.position.y = -0.2;
+    mesh.add(emitter);
+    
+    // The beam, pointing along the group's x axis
+    const beam = new THREE.Mesh(
+        new THREE.CylinderGeometry(LASER_BEAM_RADIUS, LASER_BEAM_RADIUS, length, 6),
+        new THREE.MeshBasicMaterial({ color: 0xFF0000 })
+    );
+    beam.rotation.z = Math.PI / 2;
+    beam.position.x = length / 2;
+    mesh.add(beam);
+    
+    window.gameScene.getScene().add(mesh);
+    
+    hazards.push({
+        index,
+        type: HAZARD_TYPES.LASER,
+        mesh,
+        properties: Object.assign({}, hazard)
+    });
+}
+
+/**
+ * Create a spot debris keeps falling onto, with the shadow that warns of it
+ * @param {number} index - Index of the tile the debris falls onto
+ * @param {Object} hazard - { x, y, z, period, phase } landing spot (on the tile's top) and cycle
+ */
+function createDebris(index, hazard) {
+    const { x, y, z } = hazard;
+    
+    const mesh = new THREE.Group();
+    mesh.position.set(x, y, z);
+    
+    // The shadow, just above the tile so it doesn't flicker
+    const shadow = new THREE.Mesh(
+        new THREE.CircleGeometry(DEBRIS_SIZE * 0.75, 16),
+        new THREE.MeshBasicMaterial({ color: 0x000000, transparent: true, opacity: 0, depthWrite: false })
+    );
+    shadow.rotation.x = -Math.PI / 2;
+    shadow.position.y = 0.02;
+    mesh.add(shadow);
+    
+    // The piece of debris itself
+    const rock = new THREE.Mesh(
+        new THREE.BoxGeometry(DEBRIS_SIZE, DEBRIS_SIZE, DEBRIS_SIZE),
+        new THREE.MeshLambertMaterial({ color: 0x696969 }) // Dim gray
+    );
+    rock.visible = false;
+    mesh.add(rock);
+    
+    window.gameScene.getScene().add(mesh);
+    
+    hazards.push({
+        index,
+        type: HAZARD_TYPES.DEBRIS,
+        mesh,
+        properties: Object.assign({ shadow, rock, falling: false }, hazard)
+    });
+}
+
+/**
+ * Remove hazards from the scene
+ * @param {Function} predicate - Returns true for hazards to remove
+ */
+function removeHazards(predicate) {
+    for (let i = hazards.length - 1; i >= 0; i--) {
+        if (predicate(hazards[i])) {
+            window.gameScene.getScene().remove(hazards[i].mesh);
+            lastHazardHits.delete(hazards[i]);
+            hazards.splice(i, 1);
+        }
+    }
+}
+
+/**
+ * Move every hazard to where the tower clock says it is and let it act on the player
+ * (called every simulation tick, before the physics step)
+ */
+function updateHazards() {
+    const time = window.tiles.getTowerTime(); // Current tower time in seconds
+    const playerBody = window.player ? window.player.getPlayerBody() : null;
+    
+    hazards.forEach(hazard => {
+        switch (hazard.type) {
+            case HAZARD_TYPES.WIND:
+                updateWindZone(hazard, time, playerBody);
+                break;
+            case HAZARD_TYPES.LASER:
+                updateLaser(hazard, time, playerBody);
+                break;
+            case HAZARD_TYPES.DEBRIS:
+                updateDebris(hazard, time, playerBody);
+                break;
+        }
+    });
+}
+
+/**
+ * Drift a wind zone's streaks along and push the player if they're inside it
+ */
+function updateWindZone(hazard, time, playerBody) {
+    const { x, y, z, width, height, depth, direction, strength, streaks, length } = hazard.properties;
+    
+    // Each streak crosses the zone and comes back in on the upwind side
+    streaks.forEach((streak, i) => {
+        const progress = (time * WIND_STREAK_SPEED + i / streaks.length) % 1;
+        const along = (progress - 0.5) * length * 0.8;
+        if (direction.x !== 0) {
+            streak.position.x = along * direction.x;
+        } else {
+            streak.position.z = along * direction.z;
+        }
+    });
+    
+    if (!playerBody ||
+        Math.abs(playerBody.position.x - x) > width / 2 ||
+        Math.abs(playerBody.position.y - y) > height / 2 ||
+        Math.abs(playerBody.position.z - z) > depth / 2) {
+        return;
+    }
+    
+    // Forces are cleared after every step, so the push is applied tick by tick
+    const push = strength * playerBody.mass;
+    playerBody.force.x += direction.x * push;
+    playerBody.force.z += direction.z * push;
+}
+
+/**
+ * Turn a laser to its angle on the tower clock and burn the player if the beam crosses them
+ */
+function updateLaser(hazard, time, playerBody) {
+    const { x, y, z, length, sweepSpeed, sweepPhase } = hazard.properties;
+    const angle = time * sweepSpeed + sweepPhase;
+    hazard.mesh.rotation.y = angle;
+    
+    if (!playerBody || Math.abs(playerBody.position.y - y) > window.movement.PLAYER_HEIGHT / 2) {
+        return;
+    }
+    
+    // Closest point of the beam to the player, seen from above (the group's x axis turned by the angle)
+    const beamX = Math.cos(angle);
+    const beamZ = -Math.sin(angle);
+    const dx = playerBody.position.x - x;
+    const dz = playerBody.position.z - z;
+    const along = Math.max(0, Math.min(length, dx * beamX + dz * beamZ));
+    const offsetX = dx - beamX * along;
+    const offsetZ = dz - beamZ * along;
+    
+    if (Math.sqrt(offsetX * offsetX + offsetZ * offsetZ) < HAZARD_PLAYER_RADIUS + LASER_BEAM_RADIUS) {
+        hitPlayer(hazard, LASER_DAMAGE);
+    }
+}
+
+/**
+ * Show a piece of debris where it is in its cycle: a shadow growing where it will land, then the
+ * fall, then a moment lying on the tile
+ */
+function updateDebris(hazard, time, playerBody) {
+    const { period, phase, shadow, rock } = hazard.properties;
+    const fallTime = Math.sqrt(2 * DEBRIS_DROP_HEIGHT / -window.physics.getGravity());
+    const cycleTime = ((time / period + phase) % 1) * period;
+    
+    if (cycleTime < DEBRIS_TELEGRAPH_TIME) {
+        // Warning: the shadow darkens and grows as the drop gets closer
+        const warning = cycleTime / DEBRIS_TELEGRAPH_TIME;
+        shadow.material.opacity = 0.6 * warning;
+        shadow.scale.setScalar(0.3 + 0.7 * warning);
+        rock.visible = false;
+        hazard.properties.falling = false;
+        return;
+    }
+    
+    const fallen = cycleTime - DEBRIS_TELEGRAPH_TIME;
+    if (fallen >= fallTime + DEBRIS_REST_TIME) {
+        // Gone until the next warning
+        shadow.material.opacity = 0;
+        rock.visible = false;
+        hazard.properties.falling = false;
+        return;
+    }
+    
+    // Falling, then lying on the tile
+    const height = fallen < fallTime
+        ? DEBRIS_DROP_HEIGHT + 0.5 * window.physics.getGravity() * fallen * fallen
+        : 0;
+    rock.position.y = height + DEBRIS_SIZE / 2;
+    rock.visible = true;
+    shadow.material.opacity = 0.6;
+    shadow.scale.setScalar(1);
+    hazard.properties.falling = fallen < fallTime;
+    
+    if (!hazard.properties.falling || !playerBody) {
+        return;
+    }
+    
+    // Only a falling piece hurts, when it comes down on the player
+    const { x, y, z } = hazard.properties;
+    const dx = playerBody.position.x - x;
+    const dz = playerBody.position.z - z;
+    const dy = playerBody.position.y - (y + rock.position.y);
+    if (Math.sqrt(dx * dx + dz * dz) < DEBRIS_SIZE / 2 + HAZARD_PLAYER_RADIUS &&
+        Math.abs(dy) < (DEBRIS_SIZE + window.movement.PLAYER_HEIGHT) / 2) {
+        hitPlayer(hazard, DEBRIS_DAMAGE);
+    }
+}
+
+/**
+ * Hurt the player, at most once per HAZARD_HIT_COOLDOWN for each hazard
+ * @param {Object} hazard - Hazard that hit the player
+ * @param {number} damage - Health to lose
+ */
+function hitPlayer(hazard, damage) {
+    const currentTime = window.physics.getSimulationTime();
+    const lastHit = lastHazardHits.get(hazard);
+    if (lastHit !== undefined && currentTime - lastHit < HAZARD_HIT_COOLDOWN) {
+        return;
+    }
+    lastHazardHits.set(hazard, currentTime);
+    
+    console.log(`Hit by ${hazard.type} for ${damage} damage`);
+    window.player.takeDamage(damage);
+    
+    if (window.audio && window.audio.playSound) {
+        window.audio.playSound('hurt');
+    }
+}
+
+/**
+ * Get the active hazards
+ */
+function getHazards() {
+    return hazards;
+}
+
+// Export hazard functions
+window.hazards = {
+    createHazard,
+    removeHazards,
+    updateHazards,
+    getHazards
+};
@@ -0,0 +1,108 @@
+/**
+ * leaderboard.js - Client for the global leaderboard
+ *
+ * This file submits finished runs to the server's leaderboard REST API and
+ * fetches the top, daily and per-seed boards. The game over screen in ui.js
+ * uses it to show the player's rank and the runs around it.
+ */
+
+// Configuration
+const LEADERBOARD_URL = 'http://localhost:8080/api/leaderboard';
+const PLAYER_NAME_KEY = 'playerName'; // localStorage key for the name shown on the leaderboard
+
+/**
+ * Send a request to the leaderboard API
+ * @param {string} path - Path below LEADERBOARD_URL
+ * @param {Object} [options] - fetch options
+ * @returns {Promise<Object|null>} Response body, or null if the request failed
+ */
+function leaderboardRequest(path, options) {
+    return fetch(LEADERBOARD_URL + path, options)
+        .then(response => response.json().then(body => {
+            if (!response.ok) {
+                console.warn(`Leaderboard request failed: ${body.error || response.status}`);
+                return null;
+            }
+            return body;
+        }))
+        .catch(error => {
+            console.error('Error contacting leaderboard:', error);
+            return null;
+        });
+}
+
+/**
+ * Submit a finished run
+ * @param {Object} run - { score, maxHeight, duration, seed, mode }
+ * @returns {Promise<Object|null>} { id, overall, daily, seed } ranks, or null on failure
+ */
+function submitRun(run) {
+    console.log(`Submitting run to leaderboard: score ${run.score}, height ${run.maxHeight.toFixed(1)}`);
+    
+    return leaderboardRequest('', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            name: getPlayerName(),
+            score: run.score,
+            maxHeight: run.maxHeight,
+            duration: run.duration,
+            seed: run.seed,
+            mode: run.mode
+        })
+    });
+}
+
+/**
+ * Get the best runs of all time
+ * @param {number} [limit] - Number of entries
+ * @param {string} [mode] - Game mode, the endless climb by default
+ */
+function getTopRuns(limit, mode) {
+    return leaderboardRequest(`?limit=${limit || ''}&mode=${mode || ''}`);
+}
+
+/**
+ * Get the best runs of a day
+ * @param {string} [date] - Day as YYYY-MM-DD (UTC), today by default
+ * @param {number} [limit] - Number of entries
+ * @param {string} [mode] - Game mode, the endless climb by default
+ */
+function getDailyRuns(date, limit, mode) {
+    return leaderboardRequest(`/daily?date=${date || ''}&limit=${limit || ''}&mode=${mode || ''}`);
+}
+
+/**
+ * Get the best runs on a tower seed
+ * @param {number|string} seed - Tower seed
+ * @param {number} [limit] - Number of entries
+ * @param {string} [mode] - Game mode, the endless climb by default
+ */
+function getSeedRuns(seed, limit, mode) {
+    return leaderboardRequest(`/seed/${encodeURIComponent(seed)}?limit=${limit || ''}&mode=${mode || ''}`);
+}
+
+/**
+ * Get the name to submit runs under
+ */
+function getPlayerName() {
+    return localStorage.getItem(PLAYER_NAME_KEY) || 'Anonymous';
+}
+
+/**
+ * Set the name to submit runs under
+ * @param {string} name - Player name
+ */
+function setPlayerName(name) {
+    localStorage.setItem(PLAYER_NAME_KEY, name);
+}
+
+// Export leaderboard functions
+window.leaderboard = {
+    submitRun,
+    getTopRuns,
+    getDailyRuns,
+    getSeedRuns,
+    getPlayerName,
+    setPlayerName
+};
@@ -37,6 +37,60 @@ const loadingTips = [
 let currentTipIndex = 0;
 let tipInterval;
 
+/**
+ * Read the tower seed from the page URL (e.g. index.html?seed=12345)
+ * @returns {number|string|null} Seed from the URL, or null for a random tower
+ */
+function getSeedFromUrl() {
+    const seed = new URLSearchParams(window.location.search).get('seed');
+    if (seed === null || seed === '') {
+        return null;
+    }
+    
+    // Keep numeric seeds numeric so they match the seed shown in the debug panel
+    return /^\d+$/.test(seed) ? parseInt(seed, 10) : seed;
+}
+
+/**
+ * Read the game mode from the page URL (e.g. index.html?mode=flood)
+ * @returns {string|null} Mode from the URL, or null to let the player pick
+ */
+function getModeFromUrl() {
+    return new URLSearchParams(window.location.search).get('mode') || null;
+}
+
+/**
+ * Pick the game mode to play: the one in the URL, or whichever the player picks
+ * @param {Function} onPicked - Called once the mode has been set
+ */
+function pickGameMode(onPicked) {
+    if (!window.gameModes) {
+        onPicked();
+        return;
+    }
+    
+    const urlMode = getModeFromUrl();
+    const modes = window.gameModes.getModes();
+    
+    // The URL picked one, or there's nothing to pick from (or with): straight in
+    if (urlMode || modes.length < 2 || !window.ui || !window.ui.showModePicker) {
+        window.gameModes.setMode(urlMode || modes[0].id);
+        onPicked();
+        return;
+    }
+    
+    window.ui.showModePicker(modes, (id) => {
+        window.gameModes.setMode(id);
+        
+        // Track the pick if analytics is available
+        if (window.gameAnalytics) {
+            window.gameAnalytics.trackEvent('game_action', { action: 'pick_mode', mode: id });
+        }
+        
+        onPicked();
+    });
+}
+
 /**
  * Load a script dynamically
  * @param {string} url - URL of the script to load
@@ -391,7 +445,7 @@ function initializeModules() {
         
         if (window.tiles && window.tiles.initTiles) {
             try {
-                window.tiles.initTiles();
+                window.tiles.initTiles(getSeedFromUrl());
                 modules.tiles = true;
                 console.log("Tiles module initialized successfully");
             } catch (error) {
@@ -490,8 +544,8 @@ function initializeModules() {
             window.gameAnalytics.trackLoadingProgress(8, "All modules initialized");
         }
         
-        // All modules initialized, start the game
-        startGame();
+        // All modules initialized, start the game once the game mode has been picked
+        pickGameMode(startGame);
         
     } catch (error) {
         // Track initialization error
@@ -0,0 +1,199 @@
+/**
+ * modes.js - Game modes
+ *
+ * This file keeps the game modes players can pick from and runs the one that
+ * was picked. A game mode is an object with an id, a name, a description and
+ * any of these hooks (missing ones behave like the endless climb):
+ *
+ *   onStart()           - a run starts (game start, restart, replay)
+ *   onEnd()             - another mode takes over
+ *   onTick()            - every simulation tick, after the tiles, hazards and drones
+ *   onPlayerFall()      - the player dropped below the map
+ *   onTileReached(tile) - the player landed on a tile for the first time this run
+ *                         (called during the physics step, so it mustn't add or remove bodies)
+ *   isOver()            - whether the run has ended, checked after every tick
+ *   getResults()        - the run's results ({ score, maxHeight, duration } plus anything the mode adds)
+ *
+ * The endless climb is the default mode; other modes register themselves with
+ * registerMode() when their file loads.
+ */
+
+// Game mode variables
+const registeredModes = []; // Every mode that can be picked, in the order they were registered
+let activeMode = null; // Mode being played
+let runOver = false; // Whether the current run has ended
+
+// The endless climb: climb as high as possible, falls cost health and the run ends when it runs out
+const ENDLESS_MODE = {
+    id: 'endless',
+    name: 'Endless Climb',
+    description: 'Climb as high as you can. Every fall costs health.',
+    onStart() {},
+    onEnd() {},
+    onTick() {},
+    onPlayerFall() {
+        window.player.handleFall();
+    },
+    onTileReached() {},
+    isOver() {
+        return window.player.getHealth() <= 0;
+    },
+    getResults() {
+        return window.player.getRunStats();
+    }
+};
+
+/**
+ * Add a mode players can pick
+ * @param {Object} mode - Game mode (see the top of this file)
+ */
+function registerMode(mode) {
+    if (getModeById(mode.id)) {
+        console.warn(`Game mode "${mode.id}" is already registered`);
+        return;
+    }
+    
+    // The server only ranks runs of the modes listed in scoring.js
+    if (!window.scoring.GAME_MODES.includes(mode.id)) {
+        console.warn(`Game mode "${mode.id}" isn't in scoring.GAME_MODES, so its runs can't go on the leaderboard`);
+    }
+    
+    registeredModes.push(Object.assign({}, ENDLESS_MODE, mode));
+}
+
+/**
+ * Find a registered mode
+ * @param {string} id - Mode id
+ * @returns {Object|null} The mode, or null if there's none with that id
+ */
+function getModeById(id) {
+    return registeredModes.find(mode => mode.id === id) || null;
+}
+
+/**
+ * Get every mode that can be picked (for the mode picker)
+ */
+function getModes() {
+    return registeredModes;
+}
+
+/**
+ * Switch to a mode (the next run is played in it)
+ * @param {string} id - Mode id; unknown ids fall back to the endless climb
+ * @returns {Object} The mode now active
+ */
+function setMode(id) {
+    const mode = getModeById(id);
+    if (!mode) {
+        console.warn(`Unknown game mode "${id}", playing ${ENDLESS_MODE.name}`);
+    }
+    
+    const nextMode = mode || getModeById(ENDLESS_MODE.id);
+    if (nextMode === activeMode) {
+        return activeMode;
+    }
+    
+    if (activeMode) {
+        activeMode.onEnd();
+    }
+    activeMode = nextMode;
+    console.log(`Game mode: ${activeMode.name}`);
+    
+    return activeMode;
+}
+
+/**
+ * Get the mode being played
+ */
+function getMode() {
+    return activeMode || setMode(ENDLESS_MODE.id);
+}
+
+/**
+ * Start a run of the active mode
+ */
+function startRun() {
+    runOver = false;
+    getMode().onStart();
+}
+
+/**
+ * Run the active mode for one simulation tick and end the run once it's over
+ */
+function updateMode() {
+    if (runOver) {
+        return;
+    }
+    
+    const mode = getMode();
+    mode.onTick();
+    
+    if (mode.isOver()) {
+        endRun();
+    }
+}
+
+/**
+ * End the run and show its results
+ */
+function endRun() {
+    runOver = true;
+    
+    const results = getMode().getResults();
+    console.log(`Run over (${getMode().name}): score ${results.score}`);
+    
+    if (window.ui) {
+        window.ui.showGameOver(results.score);
+    }
+}
+
+/**
+ * Tell the active mode the player fell below the map (a finished run ignores it)
+ */
+function playerFell() {
+    if (!runOver) {
+        getMode().onPlayerFall();
+    }
+}
+
+/**
+ * Tell the active mode the player reached a new tile
+ * @param {Object} tile - Tile from tiles.js
+ */
+function tileReached(tile) {
+    if (!runOver) {
+        getMode().onTileReached(tile);
+    }
+}
+
+/**
+ * Check whether the current run has ended
+ */
+function isRunOver() {
+    return runOver;
+}
+
+/**
+ * Get the results of the current run from the active mode
+ */
+function getResults() {
+    return getMode().getResults();
+}
+
+// The endless climb is always there
+registerMode(ENDLESS_MODE);
+
+// Export game mode functions
+window.gameModes = {
+    registerMode,
+    getModes,
+    getModeById,
+    setMode,
+    getMode,
+    startRun,
+    updateMode,
+    playerFell,
+    tileReached,
+    isRunOver,
+    getResults
+};
@@ -0,0 +1,55 @@
+/**
+ * movement.js - Player movement limits
+ *
+ * This file holds the numbers that bound how fast and how high a player can
+ * move: jump and dash forces, the speed cap, gravity, terminal velocity and
+ * the power-ups that bend them. player.js and physics.js use them to move the
+ * player, and server.js uses the same values to reject positions no real
+ * client could reach.
+ */
+
+(function(root) {
+    // Player size and mass
+    const PLAYER_HEIGHT = 1.8;
+    const PLAYER_MASS = 5;
+    
+    // Player forces and speeds
+    const PLAYER_JUMP_FORCE = 12; // Increased jump force
+    const PLAYER_DOUBLE_JUMP_FORCE = 10; // Slightly weaker double jump
+    const WALL_JUMP_FORCE = 14; // Stronger jump off walls
+    const DASH_FORCE = 30;
+    const MAX_VELOCITY = 20; // Prevents excessive speed
+    
+    // World physics
+    const GRAVITY = -15; // Stronger gravity for better game feel
+    const TERMINAL_VELOCITY = -30; // Terminal velocity in m/s
+    
+    // Power-ups that change how the player moves
+    const JETPACK_THRUST = 25; // Upward acceleration (m/s²) while the jetpack fires, more than gravity
+    const JETPACK_MAX_RISE_SPEED = 8; // Fastest climb on jetpack power
+    const JETPACK_DURATION = 5000; // How long (ms) a jetpack lasts
+    const FEATHER_FALL_GRAVITY_SCALE = 0.3; // Share of gravity a player with feather fall feels on the way down
+    
+    const movement = {
+        PLAYER_HEIGHT,
+        PLAYER_MASS,
+        PLAYER_JUMP_FORCE,
+        PLAYER_DOUBLE_JUMP_FORCE,
+        WALL_JUMP_FORCE,
+        DASH_FORCE,
+        MAX_VELOCITY,
+        GRAVITY,
+        TERMINAL_VELOCITY,
+        JETPACK_THRUST,
+        JETPACK_MAX_RISE_SPEED,
+        JETPACK_DURATION,
+        FEATHER_FALL_GRAVITY_SCALE
+    };
+    
+    // Export for Node.js (server) or the browser
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = movement;
+    } else {
+        root.movement = movement;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -9,8 +9,15 @@
 let socket = null;
 let clientId = null;
 let isConnected = false;
+let wasKicked = false; // Kicked by the server; don't reconnect
+let currentRoom = null; // Room the server put us in ({ code, name, players })
+let roomCode = null; // Room to join when (re)connecting
+let roomList = []; // Last room list received from the server
+let messageFormat = 'json'; // Wire format agreed with the server ('binary' or 'json')
+let lastSnapshotSeq = 0; // Last snapshot decoded, acknowledged with each position
+const snapshotHistory = new Map(); // Recent decoded snapshots (seq -> states), bases for deltas
 
-// Store other players' positions
+// Store other players' latest positions and snapshot buffers
 const otherPlayers = new Map();
 
 // Other player meshes (visual representation)
@@ -18,42 +25,113 @@ const otherPlayerMeshes = new Map();
 
 // Configuration
 const SERVER_URL = 'ws://localhost:8080';
+const ROOM_PARAM = 'room'; // Page and WebSocket URL parameter holding the room code
+const LOBBY_ROOM = 'LOBBY'; // Room the server uses when no code is given
 const RECONNECT_DELAY = 3000; // 3 seconds
+const USE_BINARY_PROTOCOL = true; // Offer the binary snapshot protocol (protocol.js) when connecting
+const SNAPSHOT_HISTORY_SIZE = 64; // Decoded snapshots kept as delta bases
 const useCharacter = true; // Whether to use character or player model for other players
+const INTERPOLATION_DELAY = 100; // ms remote players are rendered in the past
+const MAX_EXTRAPOLATION = 200; // ms to keep moving remote players when snapshots are late
+const SNAPSHOT_BUFFER_TIME = 1000; // ms of snapshots kept per remote player
+const Y_AXIS = new THREE.Vector3(0, 1, 0);
 
 /**
  * Initialize the network connection
  */
 function initNetwork() {
+    // Join the room from the page URL, if any
+    roomCode = getRoomFromUrl();
     connectToServer();
     console.log("Network module initialized");
 }
 
+/**
+ * Read the room code from the page URL (index.html?room=CODE)
+ * @returns {string|null} Room code, or null to join the lobby
+ */
+function getRoomFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const room = params.get(ROOM_PARAM);
+    
+    return room ? room.trim().toUpperCase() : null;
+}
+
+/**
+ * Put the room code in the page URL so it can be shared or reloaded
+ * @param {string|null} code - Room code, or null for the lobby
+ */
+function setRoomInUrl(code) {
+    if (!window.history || !window.history.replaceState) {
+        return;
+    }
+    
+    const pageUrl = new URL(window.location.href);
+    if (code) {
+        pageUrl.searchParams.set(ROOM_PARAM, code);
+    } else {
+        pageUrl.searchParams.delete(ROOM_PARAM);
+    }
+    
+    window.history.replaceState(null, '', pageUrl.toString());
+}
+
+/**
+ * Get the WebSocket URL, including the room to join
+ */
+function getServerUrl() {
+    if (!roomCode) {
+        return SERVER_URL;
+    }
+    
+    return `${SERVER_URL}/?${ROOM_PARAM}=${encodeURIComponent(roomCode)}`;
+}
+
 /**
  * Connect to the WebSocket server
  */
 function connectToServer() {
     try {
-        console.log(`Connecting to WebSocket server at ${SERVER_URL}...`);
-        socket = new WebSocket(SERVER_URL);
+        const serverUrl = getServerUrl();
+        console.log(`Connecting to WebSocket server at ${serverUrl}...`);
+        socket = new WebSocket(serverUrl);
+        socket.binaryType = 'arraybuffer';
         
         // Connection opened
         socket.onopen = () => {
             console.log('Connected to WebSocket server');
             isConnected = true;
+            
+            // Tell the server which formats we speak; it answers with a protocol message
+            const formats = USE_BINARY_PROTOCOL && window.protocol ? ['binary', 'json'] : ['json'];
+            socket.send(JSON.stringify({
+                type: 'hello',
+                formats: formats
+            }));
         };
         
         // Listen for messages from the server
         socket.onmessage = (event) => {
-            handleServerMessage(event.data);
+            if (typeof event.data === 'string') {
+                handleServerMessage(event.data);
+            } else {
+                handleBinaryMessage(event.data);
+            }
         };
         
         // Connection closed
         socket.onclose = () => {
             console.log('Disconnected from WebSocket server');
             isConnected = false;
+            messageFormat = 'json';
+            resetSnapshots();
             cleanupOtherPlayers();
             
+            // A kicked client would only be kicked again
+            if (wasKicked) {
+                return;
+            }
+            
             // Try to reconnect after a delay
             setTimeout(connectToServer, RECONNECT_DELAY);
         };
@@ -93,6 +171,72 @@ function handleServerMessage(message) {
                 }
                 break;
                 
+            case 'protocol':
+                // The server picked the wire format for positions
+                messageFormat = data.format;
+                console.log(`Using ${messageFormat} protocol`);
+                break;
+                
+            case 'roomJoined':
+                handleRoomJoined(data);
+                break;
+                
+            case 'roomLeft':
+                console.log(`Left room ${data.code}`);
+                break;
+                
+            case 'roomList':
+                // Keep the list around for the UI
+                roomList = data.rooms || [];
+                console.log(`Received room list: ${roomList.length} rooms`);
+                break;
+                
+            case 'roomError':
+                console.warn(`Room error: ${data.message}`);
+                if (window.ui && window.ui.showNotification) {
+                    window.ui.showNotification(data.message, 'warning');
+                }
+                break;
+                
+            case 'correction':
+                // The server rejected a move; go back to where it has us
+                if (window.player && window.player.getPlayerBody && data.position) {
+                    const playerBody = window.player.getPlayerBody();
+                    playerBody.position.set(data.position.x, data.position.y, data.position.z);
+                    playerBody.velocity.set(0, 0, 0);
+                    console.warn('Position corrected by server');
+                }
+                break;
+                
+            case 'kicked':
+                wasKicked = true;
+                console.warn(`Kicked by server: ${data.reason}`);
+                if (window.ui && window.ui.showNotification) {
+                    window.ui.showNotification(`Disconnected: ${data.reason}`, 'warning');
+                }
+                break;
+                
+            case 'tower':
+                // The server owns the tower layout; climb the same one as everyone else
+                if (!isWatchingReplay() && window.tiles && window.tiles.loadSharedTower) {
+                    window.tiles.loadSharedTower(data);
+                }
+                break;
+                
+            case 'towerTiles':
+                // Next chunk of the shared tower
+                if (!isWatchingReplay() && window.tiles && window.tiles.appendSharedTiles) {
+                    window.tiles.appendSharedTiles(data.from, data.tiles || []);
+                }
+                break;
+                
+            case 'crumble':
+                // Another player stepped on a crumbling tile
+                if (!isWatchingReplay() && window.tiles && window.tiles.crumbleTile) {
+                    window.tiles.crumbleTile(data.index, data.at);
+                }
+                break;
+                
             default:
                 console.log(`Unknown message type: ${data.type}`);
         }
@@ -101,6 +245,97 @@ function handleServerMessage(message) {
     }
 }
 
+/**
+ * Check whether a replay is being watched; its tower is local, so shared tower updates would corrupt it
+ */
+function isWatchingReplay() {
+    return Boolean(window.replay && window.replay.isPlaying());
+}
+
+/**
+ * Handle binary messages received from the server
+ * @param {ArrayBuffer} buffer - Message
+ */
+function handleBinaryMessage(buffer) {
+    try {
+        if (window.protocol.getMessageType(buffer) !== window.protocol.MESSAGE_TYPES.SNAPSHOT) {
+            console.log('Unknown binary message type');
+            return;
+        }
+        
+        const snapshot = window.protocol.decodeSnapshot(buffer, snapshotHistory);
+        if (!snapshot) {
+            // Delta against a snapshot we no longer have; the server sends a full one once our ack moves on
+            console.warn('Received delta snapshot for an unknown base');
+            return;
+        }
+        
+        // Keep it as a base for later deltas
+        snapshotHistory.set(snapshot.seq, snapshot.states);
+        if (snapshotHistory.size > SNAPSHOT_HISTORY_SIZE) {
+            snapshotHistory.delete(snapshotHistory.keys().next().value);
+        }
+        lastSnapshotSeq = snapshot.seq;
+        
+        // Same shape as the JSON positions message
+        const positions = {};
+        snapshot.states.forEach((state, id) => {
+            positions[id] = window.protocol.dequantizeState(state);
+        });
+        
+        updateOtherPlayers(positions);
+    } catch (error) {
+        console.error('Error parsing binary server message:', error);
+    }
+}
+
+/**
+ * Forget decoded snapshots (their sequence numbers belong to the old connection or room)
+ */
+function resetSnapshots() {
+    snapshotHistory.clear();
+    lastSnapshotSeq = 0;
+}
+
+/**
+ * Handle the server moving us into a room
+ * @param {Object} data - roomJoined message
+ */
+function handleRoomJoined(data) {
+    const previousRoom = currentRoom;
+    
+    currentRoom = {
+        code: data.code,
+        name: data.name,
+        players: data.players
+    };
+    console.log(`Joined room ${data.code} (${data.players} players)`);
+    
+    // Snapshots from the old room can't be delta bases here
+    resetSnapshots();
+    
+    // Remember the room for reconnects; the lobby keeps a clean URL
+    roomCode = data.code === LOBBY_ROOM ? null : data.code;
+    setRoomInUrl(roomCode);
+    
+    // Nothing to do if we just reconnected to the same room
+    if (previousRoom && previousRoom.code === data.code) {
+        return;
+    }
+    
+    // Players from the old room aren't here
+    cleanupOtherPlayers();
+    
+    // New room, new tower (sent next by the server): start again from the bottom
+    if (previousRoom && window.player && window.player.restartPlayer) {
+        window.player.restartPlayer();
+    }
+    
+    if (window.ui && window.ui.showNotification) {
+        window.ui.showNotification(`Joined room ${data.name}`, 'info');
+    }
+}
+
 /**
  * Update the positions of other players
  */
@@ -112,17 +347,19 @@ function updateOtherPlayers(positions) {
     }
     
     try {
-        // Store the new positions
+        // Forget players that are no longer in the room
+        otherPlayers.forEach((position, id) => {
+            if (!(id in positions)) {
+                otherPlayers.delete(id);
+            }
+        });
+        
+        // Store the new positions, timestamped on arrival
+        const now = performance.now();
         for (const [id, position] of Object.entries(positions)) {
-            // Skip the local player
-            if (id !== clientId) {
-                otherPlayers.set(id, {
-                    x: position.x,
-                    y: position.y,
-                    z: position.z,
-                    rotation: position.rotation || 0,
-                    animation: position.animation || 'idle'
-                });
+            // Skip the local player (ids arrive as object keys, so compare as strings)
+            if (id !== String(clientId)) {
+                addPlayerSnapshot(id, position, now);
             }
         }
         
@@ -133,11 +370,108 @@ function updateOtherPlayers(positions) {
     }
 }
 
+/**
+ * Add a received position to a remote player's snapshot buffer
+ * @param {string} id - Remote player ID
+ * @param {Object} position - Received position
+ * @param {number} time - Arrival time (performance.now())
+ */
+function addPlayerSnapshot(id, position, time) {
+    const rotation = position.rotation || 0;
+    const snapshot = {
+        time: time,
+        position: new THREE.Vector3(position.x, position.y, position.z),
+        quaternion: new THREE.Quaternion().setFromAxisAngle(Y_AXIS, rotation),
+        animation: position.animation || 'idle'
+    };
+    
+    let player = otherPlayers.get(id);
+    if (!player) {
+        player = { snapshots: [] };
+        otherPlayers.set(id, player);
+    }
+    
+    // Latest values, for anything that just wants to know where a player is
+    player.x = position.x;
+    player.y = position.y;
+    player.z = position.z;
+    player.rotation = rotation;
+    player.animation = snapshot.animation;
+    
+    player.snapshots.push(snapshot);
+    
+    // Drop snapshots too old to be rendered again (keeping at least two)
+    while (player.snapshots.length > 2 && player.snapshots[0].time < time - SNAPSHOT_BUFFER_TIME) {
+        player.snapshots.shift();
+    }
+}
+
+/**
+ * Work out where a remote player should be drawn, INTERPOLATION_DELAY ms in the past
+ * @param {Object} player - Remote player with a snapshot buffer
+ * @param {number} now - Current time (performance.now())
+ * @returns {Object} { position, quaternion, animation }
+ */
+function samplePlayerSnapshots(player, now) {
+    const snapshots = player.snapshots;
+    const renderTime = now - INTERPOLATION_DELAY;
+    const first = snapshots[0];
+    const last = snapshots[snapshots.length - 1];
+    
+    // Not enough history yet: show the oldest snapshot we have
+    if (snapshots.length === 1 || renderTime <= first.time) {
+        return {
+            position: first.position.clone(),
+            quaternion: first.quaternion.clone(),
+            animation: first.animation
+        };
+    }
+    
+    // Snapshots are late: keep moving along the last known velocity for a short while
+    if (renderTime >= last.time) {
+        const previous = snapshots[snapshots.length - 2];
+        const extrapolation = Math.min(renderTime - last.time, MAX_EXTRAPOLATION);
+        const position = last.position.clone();
+        
+        if (last.time > previous.time) {
+            const velocity = last.position.clone().sub(previous.position).divideScalar(last.time - previous.time);
+            position.addScaledVector(velocity, extrapolation);
+        }
+        
+        return {
+            position: position,
+            quaternion: last.quaternion.clone(),
+            animation: last.animation
+        };
+    }
+    
+    // Find the two snapshots around the render time and blend between them
+    let i = snapshots.length - 2;
+    while (i > 0 && snapshots[i].time > renderTime) {
+        i--;
+    }
+    const from = snapshots[i];
+    const to = snapshots[i + 1];
+    const t = (renderTime - from.time) / (to.time - from.time);
+    
+    return {
+        position: from.position.clone().lerp(to.position, t),
+        quaternion: from.quaternion.clone().slerp(to.quaternion, t),
+        animation: from.animation
+    };
+}
+
 /**
  * Send the local player's position to the server
  */
 function sendPlayerPosition(position) {
     if (isConnected && socket && socket.readyState === WebSocket.OPEN) {
+        // Compact binary message that also acknowledges the last snapshot
+        if (messageFormat === 'binary') {
+            socket.send(window.protocol.encodePosition(position, lastSnapshotSeq));
+            return;
+        }
+        
         const message = {
             type: 'position',
             position: {
@@ -153,12 +487,105 @@ function sendPlayerPosition(position) {
     }
 }
 
+/**
+ * Ask the server for more tiles of the shared tower
+ * @param {number} from - Index of the first tile needed
+ * @returns {boolean} Whether the request was sent
+ */
+function requestTowerTiles(from) {
+    if (isConnected && socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({
+            type: 'towerRequest',
+            from: from
+        }));
+        return true;
+    }
+    
+    return false;
+}
+
+/**
+ * Tell the server that a crumbling tile was stepped on
+ * @param {number} index - Tower index of the tile
+ */
+function sendCrumble(index) {
+    if (isConnected && socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({
+            type: 'crumble',
+            index: index
+        }));
+    }
+}
+
+/**
+ * Tell the server a power-up was picked up, so it allows for it when checking movement
+ * @param {number} index - Tower index of the tile the power-up belongs to
+ * @param {number} slot - Position in that tile's list of collectibles
+ */
+function sendPowerUp(index, slot) {
+    if (isConnected && socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({
+            type: 'powerUp',
+            index: index,
+            slot: slot
+        }));
+    }
+}
+
+/**
+ * Send a room message to the server
+ * @param {Object} message - Message to send
+ * @returns {boolean} Whether the message was sent
+ */
+function sendRoomMessage(message) {
+    if (isConnected && socket && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+        return true;
+    }
+    
+    console.warn(`Not connected, cannot send ${message.type}`);
+    return false;
+}
+
+/**
+ * Create a new room and move into it
+ * @param {string} [name] - Display name for the room
+ * @param {number|string} [seed] - Tower seed for the room
+ */
+function createRoom(name, seed) {
+    return sendRoomMessage({ type: 'createRoom', name: name, seed: seed });
+}
+
+/**
+ * Join a room by code (the room is opened if nobody is in it yet)
+ * @param {string} code - Room code
+ */
+function joinRoom(code) {
+    return sendRoomMessage({ type: 'joinRoom', code: code });
+}
+
+/**
+ * Leave the current room and go back to the lobby
+ */
+function leaveRoom() {
+    return sendRoomMessage({ type: 'leaveRoom' });
+}
+
+/**
+ * Ask the server for the list of open rooms (answered with a roomList message)
+ */
+function listRooms() {
+    return sendRoomMessage({ type: 'listRooms' });
+}
+
 /**
  * Update the positions of other player meshes
  */
 function updateOtherPlayerMeshes() {
+    const now = performance.now();
+    
     // Create meshes for new players
-    otherPlayers.forEach((position, id) => {
+    otherPlayers.forEach((player, id) => {
         if (!otherPlayerMeshes.has(id)) {
             let mesh;
             
@@ -175,24 +602,19 @@ function updateOtherPlayerMeshes() {
             });
         }
         
-        // Update the position and rotation
+        // Update the position and rotation from the snapshot buffer
         const playerData = otherPlayerMeshes.get(id);
         if (playerData && playerData.mesh) {
-            playerData.mesh.position.set(position.x, position.y, position.z);
-            
-            // Apply rotation if available
-            if (position.rotation !== undefined) {
-                // Create a rotation quaternion from the y-axis rotation
-                const quaternion = new THREE.Quaternion();
-                quaternion.setFromAxisAngle(new THREE.Vector3(0, 1, 0), position.rotation);
-                playerData.mesh.quaternion.copy(quaternion);
-            }
+            const sample = samplePlayerSnapshots(player, now);
+            playerData.mesh.position.copy(sample.position);
+            playerData.mesh.quaternion.copy(sample.quaternion);
             
             // Update animation if it changed
-            if (position.animation && position.animation !== playerData.lastAnimation) {
-                // In a real implementation, we would play the animation here
-                console.log(`Player ${id} animation changed to: ${position.animation}`);
-                playerData.lastAnimation = position.animation;
+            if (sample.animation !== playerData.lastAnimation) {
+                if (window.character && window.character.playOtherCharacterAnimation) {
+                    window.character.playOtherCharacterAnimation(playerData.mesh, sample.animation);
+                }
+                playerData.lastAnimation = sample.animation;
             }
         }
     });
@@ -200,11 +622,8 @@ function updateOtherPlayerMeshes() {
     // Remove meshes for disconnected players
     otherPlayerMeshes.forEach((playerData, id) => {
         if (!otherPlayers.has(id)) {
-            // Get the scene
-            const scene = window.gameScene.getScene();
-            
             // Remove from the scene
-            scene.remove(playerData.mesh);
+            removeOtherPlayerMesh(playerData.mesh);
             
             // Remove from the map
             otherPlayerMeshes.delete(id);
@@ -212,16 +631,26 @@ function updateOtherPlayerMeshes() {
     });
 }
 
+/**
+ * Remove another player's mesh from the scene
+ * @param {THREE.Object3D} mesh - Mesh to remove
+ */
+function removeOtherPlayerMesh(mesh) {
+    // Characters also have an animation mixer to release
+    if (useCharacter && window.character && window.character.removeOtherCharacterMesh) {
+        window.character.removeOtherCharacterMesh(mesh);
+    } else {
+        window.gameScene.getScene().remove(mesh);
+    }
+}
+
 /**
  * Clean up other player meshes
  */
 function cleanupOtherPlayers() {
-    // Get the scene
-    const scene = window.gameScene.getScene();
-    
     // Remove all other player meshes
     otherPlayerMeshes.forEach((playerData, id) => {
-        scene.remove(playerData.mesh);
+        removeOtherPlayerMesh(playerData.mesh);
     });
     
     // Clear the maps
@@ -242,6 +671,16 @@ window.network = {
     initNetwork,
     updateNetwork,
     sendPlayerPosition,
+    requestTowerTiles,
+    sendCrumble,
+    sendPowerUp,
+    createRoom,
+    joinRoom,
+    leaveRoom,
+    listRooms,
+    getRoom: () => currentRoom,
+    getRoomList: () => roomList,
+    getMessageFormat: () => messageFormat,
     isConnected: () => isConnected,
     getClientId: () => clientId,
     getOtherPlayers: () => otherPlayers
@@ -2,22 +2,53 @@
  * physics.js - Handles physics simulation using Cannon.js
  * 
  * This file is responsible for setting up and updating the physics world,
- * handling collisions, and providing physics-related utilities.
+ * handling collisions, and providing physics-related utilities. It also runs
+ * the fixed simulation tick that player input, ability timers and tiles all
+ * advance on, so the same inputs give the same outcome on any machine.
  */
 
 // Physics variables
 let world; // Cannon.js physics world
-let fixedTimeStep = 1.0 / 60.0; // Physics update rate (60 Hz)
-let maxSubSteps = 3; // Maximum physics sub-steps per frame
 let physicsLastTime; // Last timestamp for physics update
+let physicsAccumulator = 0; // Real time (seconds) not yet simulated
+let simulationTick = 0; // Number of simulation ticks run so far
 let keyboard = {}; // Keyboard state
 
-// Physics constants
-const GRAVITY = -15; // Stronger gravity for better game feel
+// Simulation tick settings
+const FIXED_TIME_STEP = 1.0 / 60.0; // Length of one simulation tick (60 Hz)
+const MAX_SUB_STEPS = 3; // Maximum simulation ticks per frame; slower machines fall behind instead of spiraling
+
+// Physics constants (gravity and terminal velocity are shared with the server in movement.js)
+const { GRAVITY, TERMINAL_VELOCITY } = window.movement;
 const AIR_RESISTANCE = 0.01; // Air resistance coefficient
-const TERMINAL_VELOCITY = -30; // Terminal velocity in m/s
-const GROUND_FRICTION = 0.3; // Ground friction coefficient
-const GROUND_RESTITUTION = 0.2; // Ground bounciness
+
+// Physics materials: bodies only carry a named material, and how two of them
+// behave on contact is set by the pairs in CONTACT_MATERIALS
+const PHYSICS_MATERIALS = {
+    PLAYER: 'player',
+    GROUND: 'ground',
+    PLATFORM: 'platform',
+    STAIRS: 'stairs',
+    RUBBER: 'rubber',
+    ICE: 'ice'
+};
+const CONTACT_MATERIALS = [
+    // [material, material, friction, restitution]
+    [PHYSICS_MATERIALS.PLAYER, PHYSICS_MATERIALS.GROUND, 0.15, 0.02],
+    [PHYSICS_MATERIALS.PLAYER, PHYSICS_MATERIALS.PLATFORM, 0.25, 0.03],
+    [PHYSICS_MATERIALS.PLAYER, PHYSICS_MATERIALS.STAIRS, 0.35, 0.02], // Stairs grip better
+    [PHYSICS_MATERIALS.PLAYER, PHYSICS_MATERIALS.RUBBER, 0.25, 0.15], // Bounce tiles
+    [PHYSICS_MATERIALS.PLAYER, PHYSICS_MATERIALS.ICE, 0.0, 0.0] // No grip at all
+];
+const DEFAULT_FRICTION = 0.25; // Friction of pairs not listed above
+const DEFAULT_RESTITUTION = 0.03; // Restitution of pairs not listed above
+const materials = {}; // Material name -> CANNON.Material
+
+// Contact filtering: each step, contacts between two bodies are dropped (before they are solved
+// or reported as collisions) unless every filter accepts them
+const ONE_WAY_NORMAL = 0.5; // How upward a contact must be for a one-way body to hold something up
+const ONE_WAY_RISE_TOLERANCE = 0.1; // Speed (m/s) something may rise at relative to a one-way body and still land on it
+const contactFilters = [filterOneWayContact]; // function(bodyA, bodyB, normal) -> false to drop the contact
 
 /**
  * Initialize the Cannon.js physics world
@@ -29,15 +60,18 @@ function initPhysics() {
     world.broadphase = new CANNON.NaiveBroadphase();
     world.solver.iterations = 10; // Increase solver iterations for better stability
     
+    // Set up materials and how they behave against each other
+    createMaterials();
+    
+    // Let contact filters drop contacts before they are solved
+    installContactFilters();
+    
     // Set up ground plane
     const groundShape = new CANNON.Plane();
     const groundBody = new CANNON.Body({
         mass: 0, // Mass of 0 makes it static
         shape: groundShape,
-        material: new CANNON.Material({
-            friction: GROUND_FRICTION,
-            restitution: GROUND_RESTITUTION
-        })
+        material: getMaterial(PHYSICS_MATERIALS.GROUND)
     });
     
     // Rotate ground to be horizontal (facing up)
@@ -58,6 +92,134 @@ function initPhysics() {
     return world;
 }
 
+/**
+ * Create the named materials and register their contact materials on the world
+ */
+function createMaterials() {
+    Object.keys(PHYSICS_MATERIALS).forEach(key => {
+        const name = PHYSICS_MATERIALS[key];
+        materials[name] = new CANNON.Material(name);
+    });
+    
+    // Pairs not listed use the world's default contact material
+    world.defaultContactMaterial.friction = DEFAULT_FRICTION;
+    world.defaultContactMaterial.restitution = DEFAULT_RESTITUTION;
+    
+    CONTACT_MATERIALS.forEach(([nameA, nameB, friction, restitution]) => {
+        world.addContactMaterial(new CANNON.ContactMaterial(materials[nameA], materials[nameB], {
+            friction: friction,
+            restitution: restitution
+        }));
+    });
+}
+
+/**
+ * Get a material from the registry
+ * @param {string} name - One of PHYSICS_MATERIALS
+ * @returns {CANNON.Material} Material shared by every body of that kind
+ */
+function getMaterial(name) {
+    if (!materials[name]) {
+        console.warn(`Unknown physics material "${name}", using platform`);
+        return materials[PHYSICS_MATERIALS.PLATFORM];
+    }
+    
+    return materials[name];
+}
+
+/**
+ * Get the contact material used between two materials
+ * @param {CANNON.Material} materialA - First material
+ * @param {CANNON.Material} materialB - Second material
+ * @returns {CANNON.ContactMaterial} Registered pair, or the world's default
+ */
+function getContactMaterial(materialA, materialB) {
+    return world.getContactMaterial(materialA, materialB) || world.defaultContactMaterial;
+}
+
+/**
+ * Run the contact filters on every contact the world finds
+ *
+ * Cannon.js has no hook between finding contacts and solving them, so the world's
+ * narrowphase is wrapped: contacts of a rejected pair are taken out of its results,
+ * along with their friction, and the solver and 'collide' listeners never see them.
+ */
+function installContactFilters() {
+    const narrowphase = world.narrowphase;
+    const getContacts = narrowphase.getContacts;
+    
+    narrowphase.getContacts = function(p1, p2, physicsWorld, contacts, oldContacts, frictionEquations, frictionPool) {
+        getContacts.apply(narrowphase, arguments);
+        
+        // Decide once per pair, using the pair's first contact
+        const rejectedPairs = [];
+        contacts.forEach(contact => {
+            const { bi, bj } = contact;
+            if (rejectedPairs.some(pair => pair[0] === bi && pair[1] === bj)) {
+                return;
+            }
+            if (!contactFilters.every(filter => filter(bi, bj, contact.ni))) {
+                rejectedPairs.push([bi, bj]);
+            }
+        });
+        
+        if (rejectedPairs.length === 0) {
+            return;
+        }
+        
+        const isRejected = equation => rejectedPairs.some(pair => pair[0] === equation.bi && pair[1] === equation.bj);
+        removeWhere(contacts, isRejected);
+        removeWhere(frictionEquations, isRejected);
+    };
+}
+
+/**
+ * Remove the matching items of an array in place
+ * @param {Array} array - Array to change (the world keeps references to its contact arrays)
+ * @param {Function} predicate - Returns true for items to remove
+ */
+function removeWhere(array, predicate) {
+    let kept = 0;
+    for (let i = 0; i < array.length; i++) {
+        if (!predicate(array[i])) {
+            array[kept++] = array[i];
+        }
+    }
+    array.length = kept;
+}
+
+/**
+ * Add a contact filter, run on every pair of bodies in contact each step
+ * @param {Function} filter - function(bodyA, bodyB, normal) returning false to drop the contact;
+ *                            normal points from bodyA to bodyB
+ */
+function addContactFilter(filter) {
+    contactFilters.push(filter);
+}
+
+/**
+ * Let bodies marked oneWay hold things up from above only: anything coming from below
+ * or the side passes through and lands on top
+ * @param {CANNON.Body} bodyA - First body of the pair
+ * @param {CANNON.Body} bodyB - Second body of the pair
+ * @param {CANNON.Vec3} normal - Contact normal from bodyA to bodyB
+ * @returns {boolean} Whether the pair should collide
+ */
+function filterOneWayContact(bodyA, bodyB, normal) {
+    if (!bodyA.oneWay && !bodyB.oneWay) {
+        return true;
+    }
+    
+    // Orient the pair so the normal points from the one-way body to the other one
+    const oneWayBody = bodyA.oneWay ? bodyA : bodyB;
+    const otherBody = bodyA.oneWay ? bodyB : bodyA;
+    const upward = bodyA.oneWay ? normal.y : -normal.y;
+    
+    // On top and not on the way up through it
+    return upward > ONE_WAY_NORMAL &&
+        otherBody.velocity.y - oneWayBody.velocity.y <= ONE_WAY_RISE_TOLERANCE;
+}
+
 // Set up keyboard controls
 function setupKeyboardControls() {
     // Key down event
@@ -72,21 +234,98 @@ function setupKeyboardControls() {
 }
 
 /**
- * Update the physics simulation by one time step
+ * Run as many fixed simulation ticks as the time since the last frame covers
+ * @returns {number} Number of ticks run
  */
 function updatePhysics() {
     // Calculate time since last update
     const time = performance.now();
-    const dt = (time - physicsLastTime) / 1000; // Convert to seconds
+    physicsAccumulator += (time - physicsLastTime) / 1000; // Convert to seconds
+    physicsLastTime = time;
+    
+    // Simulate in whole ticks so every machine computes the same steps
+    let ticks = 0;
+    while (physicsAccumulator >= FIXED_TIME_STEP && ticks < MAX_SUB_STEPS) {
+        stepSimulation();
+        physicsAccumulator -= FIXED_TIME_STEP;
+        ticks++;
+    }
+    
+    // Drop time we couldn't catch up on rather than running ever more ticks
+    if (physicsAccumulator >= FIXED_TIME_STEP) {
+        physicsAccumulator = 0;
+    }
+    
+    return ticks;
+}
+
+/**
+ * Advance the whole simulation by one fixed tick
+ */
+function stepSimulation() {
+    // Input for this tick: recorded from the keyboard, or read from the replay being watched
+    if (window.replay) {
+        window.replay.updateReplay();
+    }
+    
+    // Player input, abilities, falls and score
+    if (window.player && window.player.getPlayerBody()) {
+        window.player.stepPlayer();
+    }
+    
+    // Moving, crumbling and newly generated tiles
+    if (window.tiles) {
+        window.tiles.updateTiles();
+    }
+    
+    // Drones flying their patrols
+    if (window.drones) {
+        window.drones.updateDrones();
+    }
+    
+    // Run the game mode being played (the rising flood, for one) and end the run once it's over
+    if (window.gameModes) {
+        window.gameModes.updateMode();
+    }
     
     // Apply air resistance and terminal velocity to all dynamic bodies
     applyAirResistance();
     
     // Update physics world
-    world.step(fixedTimeStep, dt, maxSubSteps);
+    world.step(FIXED_TIME_STEP);
+    simulationTick++;
     
-    // Update last time
-    physicsLastTime = time;
+    // Show moving tiles where the step left them
+    if (window.tiles) {
+        window.tiles.syncMovingTiles();
+    }
+    if (window.drones) {
+        window.drones.syncDrones();
+    }
+}
+
+/**
+ * Get the simulation clock that player timers, moving tiles and crumbling run on
+ * @returns {number} Simulated time in milliseconds
+ */
+function getSimulationTime() {
+    return simulationTick * FIXED_TIME_STEP * 1000;
+}
+
+/**
+ * Get the number of simulation ticks run so far
+ */
+function getSimulationTick() {
+    return simulationTick;
+}
+
+/**
+ * Move the simulation clock (replays run on the clock they were recorded on,
+ * so every timer computes exactly the same values)
+ * @param {number} tick - Tick to continue from
+ */
+function setSimulationTick(tick) {
+    simulationTick = tick;
 }
 
 /**
@@ -155,8 +394,16 @@ function getGravity() {
 
 // Export physics functions
 window.physics = {
+    FIXED_TIME_STEP,
+    PHYSICS_MATERIALS,
     initPhysics,
+    getMaterial,
+    getContactMaterial,
+    addContactFilter,
     updatePhysics,
+    getSimulationTime,
+    getSimulationTick,
+    setSimulationTick,
     getWorld,
     getKeyboard,
     setGravity,
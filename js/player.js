@@ -8,10 +8,15 @@
 // Player state
 let playerBody = null;
 let canJump = false;
+let groundBody = null; // Body the player last landed on
+let groundMaterial = null; // Physics material of the surface the player last landed on
 let hasDoubleJump = false; // For double jump feature
 let score = 0;
 let health = 100;
+let collected = 0; // Collectibles picked up this run
 let highestY = 0;
+let lastTileReached = -1; // Index of the highest tile landed on this run
+let runStartTime = 0; // When the current run started (for the leaderboard)
 let movementDirection = { x: 0, z: 0 };
 let movementState = {
     moving: false,
@@ -21,7 +26,9 @@ let movementState = {
     doubleJumping: false,
     wallRunning: false,
     sliding: false,
-    dashing: false
+    dashing: false,
+    launched: false, // Thrown by a launch pad, until landing
+    ziplining: false // Hanging from a zip line
 };
 
 // Advanced movement cooldowns and states
@@ -36,40 +43,81 @@ let dashTimer = 0;
 let dashCooldown = 0;
 const DASH_COOLDOWN_TIME = 1500; // ms before dash is available again
 const DASH_DURATION = 200; // ms
-const DASH_FORCE = 30;
 
 let slideTimer = 0;
 const SLIDE_DURATION = 800; // ms
 const SLIDE_COOLDOWN_TIME = 1000; // ms
 let slideCooldown = 0;
 let canSlide = true;
+const SLIDE_SLOPE_BOOST = 2; // How much harder than gravity alone a slope pulls a slide downhill
 
-// Scoring system
-const SCORE_HEIGHT_MULTIPLIER = 10; // Points per unit of height
-const SCORE_TILE_BONUS = 50; // Bonus for reaching a new tile
-const SCORE_HEALTH_PENALTY = 100; // Penalty for losing health
-const MAX_SCORE_RATE = 100; // Maximum score increase per second
+let zipline = null; // Zip line being ridden ({ start, end, length })
+let ziplineProgress = 0; // How far along the zip line the player is (0-1)
+let ziplineGrabTime = 0; // Simulation time (ms) the zip line was grabbed
+let ziplineCooldown = 0;
+const ZIPLINE_SPEED = 8; // Riding speed (m/s)
+const ZIPLINE_HAND_HEIGHT = 0.2; // Height of the player's hands above their head when hanging
+const ZIPLINE_DISMOUNT_DELAY = 300; // ms after grabbing before a jump lets go (so the grabbing jump doesn't)
+const ZIPLINE_REGRAB_COOLDOWN = 500; // ms after letting go before a zip line can be grabbed again
+
+// Scoring system (shared with the server in scoring.js)
+const {
+    SCORE_HEIGHT_MULTIPLIER,
+    SCORE_TILE_BONUS,
+    SCORE_TILE_HEIGHT,
+    SCORE_HEALTH_PENALTY,
+    MAX_SCORE_RATE,
+    COLLECTIBLE_REWARDS
+} = window.scoring;
+const MAX_HEALTH = 100;
 let lastScoreUpdate = 0; // Time of last score update
 let lastScoredHeight = 0; // Last height at which score was awarded
 
-// Player settings
-const PLAYER_HEIGHT = 1.8;
+// Player settings (movement limits are shared with the server in movement.js)
+const {
+    PLAYER_HEIGHT,
+    PLAYER_MASS,
+    PLAYER_JUMP_FORCE,
+    PLAYER_DOUBLE_JUMP_FORCE,
+    WALL_JUMP_FORCE,
+    DASH_FORCE,
+    MAX_VELOCITY,
+    JETPACK_THRUST,
+    JETPACK_MAX_RISE_SPEED,
+    JETPACK_DURATION,
+    FEATHER_FALL_GRAVITY_SCALE
+} = window.movement;
 const PLAYER_RADIUS = 0.3;
-const PLAYER_MASS = 5;
 const PLAYER_MOVE_SPEED = 5;
 const PLAYER_RUN_SPEED = 10;
-const PLAYER_JUMP_FORCE = 12; // Increased jump force
-const PLAYER_DOUBLE_JUMP_FORCE = 10; // Slightly weaker double jump
-const WALL_JUMP_FORCE = 14; // Stronger jump off walls
 const WALL_RUN_SPEED = 8; // Speed during wall running
 const FALL_THRESHOLD = -2;
+const MAX_GROUND_SLOPE = 50 * Math.PI / 180; // Steepest surface (rad) the player can stand and jump on
+const GROUND_NORMAL_Y = Math.cos(MAX_GROUND_SLOPE); // Smallest upward contact normal that counts as ground
+const GROUND_PROBE_DISTANCE = 0.3; // How far below the feet ground is still felt (running downhill skims the surface)
 const JUMP_COOLDOWN = 200; // Milliseconds before allowing another jump
-let lastJumpTime = 0;
+let lastJumpTime = -JUMP_COOLDOWN;
+const TICK_DURATION = window.physics.FIXED_TIME_STEP * 1000; // Milliseconds per simulation tick
+
+// Power-ups: timed modifiers on the player controller, kept in a stack and applied in the order
+// they were picked up. A modifier can hook into the controller with
+//   tick(keyboard) - called every simulation tick while the power-up lasts
+//   absorbFall() - called on a fall; returning true takes the fall's penalty and uses the power-up up
+const activeModifiers = []; // { type, remaining } with remaining in ms
+const MAGNET_RADIUS = 8; // How far (m) the magnet reaches
+const MAGNET_SPEED = 12; // How fast (m/s) it pulls collectibles in
+const POWER_UPS = {
+    jetpack: { label: 'Jetpack', duration: JETPACK_DURATION, tick: applyJetpack },
+    featherFall: { label: 'Feather Fall', duration: 8000, tick: applyFeatherFall },
+    magnet: { label: 'Magnet', duration: 10000, tick: applyMagnet },
+    shield: { label: 'Shield', duration: 20000, absorbFall: () => true }
+};
 
 // Control sensitivity
 const MOVEMENT_DAMPING = 0.9; // Smooths movement
-const MAX_VELOCITY = 20; // Prevents excessive speed
 const AIR_CONTROL = 0.7; // Reduced control in air (0-1)
+const FULL_GRIP_FRICTION = 0.25; // Ground contact friction that gives full control; slippier ground gives less
+const MIN_GRIP = 0.1; // Control left on frictionless ground (ice)
 
 /**
  * Initialize the player
@@ -78,6 +126,9 @@ function initPlayer() {
     // Create player physics body
     createPlayerPhysics();
     
+    // Start timing the first run
+    runStartTime = window.physics.getSimulationTime();
+    
     console.log("Player module initialized");
 }
 
@@ -98,16 +149,14 @@ function createPlayerPhysics() {
         mass: PLAYER_MASS,
         shape: shape,
         position: new CANNON.Vec3(0, PLAYER_HEIGHT / 2, 0),
-        material: new CANNON.Material({
-            friction: 0.5,
-            restitution: 0.1
-        })
+        material: window.physics.getMaterial('player')
     });
     
     // Rotate the cylinder to stand upright
     const quat = new CANNON.Quaternion();
     quat.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), Math.PI / 2);
     playerBody.quaternion.copy(quat);
+    playerBody.updateInertiaWorld(true);
     
     // Add to physics world
     window.physics.getWorld().addBody(playerBody);
@@ -120,22 +169,30 @@ function createPlayerPhysics() {
  * Handle player collisions
  */
 function handleCollision(event) {
+    // Trigger volumes (collectibles) are passed through, never stood on
+    if (!event.body.collisionResponse) {
+        return;
+    }
+    
     // Check if we're colliding with the ground or a tile
     if (event.body.mass === 0) { // Static bodies have mass of 0
-        // Get collision normal (direction of impact)
-        const contactNormal = event.contact.ni;
+        // Get collision normal (direction of impact), pointing from what we hit towards the player
+        const contactNormal = event.contact.bi === playerBody ? event.contact.ni.negate() : event.contact.ni;
         
-        // If the normal is pointing up (y > 0.5), we're on top of something
-        if (contactNormal.y > 0.5) {
+        // If the normal points up more steeply than MAX_GROUND_SLOPE, we're on top of something
+        if (contactNormal.y > GROUND_NORMAL_Y) {
             // Enable jumping
             canJump = true;
             hasDoubleJump = false; // Reset double jump
+            groundBody = event.body;
+            groundMaterial = event.body.material;
             
             // Reset jumping and falling states
             movementState.jumping = false;
             movementState.falling = false;
             movementState.doubleJumping = false;
             movementState.wallRunning = false;
+            movementState.launched = false;
             
             // Check if this is a tile collision for scoring
             if (event.body.position.y > 0) {
@@ -151,18 +208,44 @@ function handleCollision(event) {
 }
 
 /**
- * Update player position and handle input
+ * Advance the player by one simulation tick: input, abilities, falls and score
  */
-function updatePlayer(deltaTime) {
-    // Handle keyboard input
-    handleInput();
+function stepPlayer() {
+    // Handle keyboard input (hanging from a zip line, only letting go is possible)
+    if (movementState.ziplining) {
+        updateZipline();
+    } else {
+        handleInput();
+    }
     
-    // Check if player is falling
-    if (playerBody.velocity.y < FALL_THRESHOLD) {
+    // Apply active power-ups
+    updateModifiers(getInputKeyboard());
+    
+    // Check if player is falling (riding an elevator or running down a slope isn't falling)
+    if (playerBody.velocity.y - getPlatformVelocity().y < FALL_THRESHOLD && !getGroundNormal() && !movementState.ziplining) {
         movementState.falling = true;
         movementState.jumping = false;
     }
     
+    // Check if player has fallen off the map (or well below the checkpoint they'd respawn on);
+    // the game mode decides what a fall costs
+    const checkpoint = window.tiles ? window.tiles.getCheckpoint() : null;
+    if (playerBody.position.y < (checkpoint ? checkpoint.y : 0) - 10) {
+        if (window.gameModes) {
+            window.gameModes.playerFell();
+        } else {
+            handleFall();
+        }
+    }
+    
+    // Update score based on height with rate limiting
+    updateScore();
+}
+
+/**
+ * Update the player's character and send its position (once per rendered frame)
+ */
+function updatePlayer(deltaTime) {
     // Update character position to match physics body
     if (window.character) {
         try {
@@ -180,10 +263,10 @@ function updatePlayer(deltaTime) {
                 }
                 
                 // Update character animation
-                const animation = window.character.updateCharacterAnimation(movementState);
+                window.character.updateCharacterAnimation(movementState);
                 
-                // Store animation for network sync
-                playerBody.animation = animation;
+                // Store the wanted animation for network sync (other clients apply their own fallbacks)
+                playerBody.animation = window.character.getAnimationForState(movementState);
             } else {
                 console.log("Character not yet initialized, skipping animation update");
             }
@@ -194,16 +277,9 @@ function updatePlayer(deltaTime) {
         console.warn("Character module not available");
     }
     
-    // Check if player has fallen off the map
-    if (playerBody.position.y < -10) {
-        handleFall();
-    }
-    
-    // Update score based on height with rate limiting
-    updateScore();
-    
-    // Send player position to the network module
-    if (window.network && window.network.isConnected && window.network.isConnected()) {
+    // Send player position to the network module (not while watching a replay)
+    const isReplaying = window.replay && window.replay.isPlaying();
+    if (!isReplaying && window.network && window.network.isConnected && window.network.isConnected()) {
         try {
             window.network.sendPlayerPosition({
                 x: playerBody.position.x,
@@ -222,7 +298,7 @@ function updatePlayer(deltaTime) {
  * Update the player's score based on height and time
  */
 function updateScore() {
-    const currentTime = performance.now();
+    const currentTime = window.physics.getSimulationTime();
     const currentHeight = playerBody.position.y;
     
     // Only update score if player has reached a new height
@@ -241,7 +317,7 @@ function updateScore() {
         scoreIncrease = Math.min(scoreIncrease, maxIncrease);
         
         // Add bonus for significant height gains (new tiles)
-        if (currentHeight - lastScoredHeight >= 5) {
+        if (currentHeight - lastScoredHeight >= SCORE_TILE_HEIGHT) {
             scoreIncrease += SCORE_TILE_BONUS;
             lastScoredHeight = currentHeight;
         }
@@ -264,9 +340,9 @@ function updateScore() {
  * Handle player input
  */
 function handleInput() {
-    // Get keyboard state from the physics module
-    const keyboard = window.physics.getKeyboard();
-    const currentTime = performance.now();
+    const isReplaying = window.replay && window.replay.isPlaying();
+    const keyboard = getInputKeyboard();
+    const currentTime = window.physics.getSimulationTime();
     
     // Calculate movement direction
     let moveX = 0;
@@ -310,6 +386,12 @@ function handleInput() {
     // Check if player is in air
     const isInAir = !canJump && !movementState.wallRunning;
     
+    // How well the ground lets the player speed up, turn and stop (1 on normal tiles)
+    const grip = isInAir || movementState.falling ? 1 : getGroundGrip();
+    
+    // Velocity of the moving platform under the player; movement is relative to it
+    const platformVelocity = getPlatformVelocity();
+    
     // Apply movement force if moving and not dashing
     if ((moveX !== 0 || moveZ !== 0) && !movementState.dashing) {
         // Normalize for diagonal movement
@@ -319,7 +401,9 @@ function handleInput() {
         
         // Get camera orbit angle if available
         let cameraAngle = 0;
-        if (window.gameScene && window.gameScene.getCameraOrbitAngle) {
+        if (isReplaying) {
+            cameraAngle = window.replay.getPlaybackCameraAngle();
+        } else if (window.gameScene && window.gameScene.getCameraOrbitAngle) {
             cameraAngle = window.gameScene.getCameraOrbitAngle();
         }
         
@@ -332,7 +416,11 @@ function handleInput() {
         movementDirection.z = rotatedMoveZ;
         
         // Calculate force based on current velocity to prevent excessive acceleration
-        const currentVelocity = new CANNON.Vec3(playerBody.velocity.x, 0, playerBody.velocity.z);
+        const currentVelocity = new CANNON.Vec3(
+            playerBody.velocity.x - platformVelocity.x,
+            0,
+            playerBody.velocity.z - platformVelocity.z
+        );
         const currentSpeed = currentVelocity.length();
         
         // Determine target speed based on movement state
@@ -382,6 +470,9 @@ function handleInput() {
             forceMultiplier *= AIR_CONTROL;
         }
         
+        // Slippery ground gives less control
+        forceMultiplier *= grip;
+        
         // Apply force to move the player with the calculated multiplier
         if (!movementState.sliding) {
             playerBody.applyImpulse(
@@ -404,22 +495,25 @@ function handleInput() {
             );
         }
         
-        // Apply velocity damping to prevent excessive speed
-        const velocity = playerBody.velocity;
-        const speed = Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z);
+        // Apply velocity damping to prevent excessive speed (relative to the platform)
+        const relativeX = playerBody.velocity.x - platformVelocity.x;
+        const relativeZ = playerBody.velocity.z - platformVelocity.z;
+        const speed = Math.sqrt(relativeX * relativeX + relativeZ * relativeZ);
         
-        if (speed > MAX_VELOCITY && !movementState.dashing) {
+        if (speed > MAX_VELOCITY && !movementState.dashing && !movementState.launched) {
             const scale = MAX_VELOCITY / speed;
-            playerBody.velocity.x *= scale;
-            playerBody.velocity.z *= scale;
+            playerBody.velocity.x = platformVelocity.x + relativeX * scale;
+            playerBody.velocity.z = platformVelocity.z + relativeZ * scale;
         }
         
         // Update movement state
         movementState.moving = true;
-    } else if (!movementState.dashing && !movementState.sliding) {
-        // Apply damping when not actively moving
-        playerBody.velocity.x *= MOVEMENT_DAMPING;
-        playerBody.velocity.z *= MOVEMENT_DAMPING;
+    } else if (!movementState.dashing && !movementState.sliding && !movementState.launched) {
+        // Apply damping when not actively moving (slippery ground barely slows the player down)
+        // On a moving platform the player settles to the platform's speed rather than to a stop
+        const damping = 1 - (1 - MOVEMENT_DAMPING) * grip;
+        playerBody.velocity.x = platformVelocity.x + (playerBody.velocity.x - platformVelocity.x) * damping;
+        playerBody.velocity.z = platformVelocity.z + (playerBody.velocity.z - platformVelocity.z) * damping;
         
         // Not moving
         movementState.moving = false;
@@ -467,28 +561,76 @@ function handleInput() {
     
     // Update cooldowns
     if (dashCooldown > 0) {
-        dashCooldown -= 16; // Approximate time between frames
+        dashCooldown -= TICK_DURATION;
     }
     
     if (slideCooldown > 0) {
-        slideCooldown -= 16;
+        slideCooldown -= TICK_DURATION;
     }
     
     if (wallRunCooldown > 0) {
-        wallRunCooldown -= 16;
+        wallRunCooldown -= TICK_DURATION;
+    }
+    
+    if (ziplineCooldown > 0) {
+        ziplineCooldown -= TICK_DURATION;
     }
     
     // Update movement state based on velocity
     updateMovementState();
 }
 
+/**
+ * Get how much grip the ground the player is standing on gives
+ * @returns {number} 1 for full control, down to MIN_GRIP on ice
+ */
+function getGroundGrip() {
+    if (!groundMaterial) {
+        return 1;
+    }
+    
+    const contact = window.physics.getContactMaterial(playerBody.material, groundMaterial);
+    return Math.max(MIN_GRIP, Math.min(1, contact.friction / FULL_GRIP_FRICTION));
+}
+
+/**
+ * Get the velocity of the moving platform the player is standing on
+ * @returns {Object} { x, y, z } velocity of the platform's surface under the player, zero when not on one
+ */
+function getPlatformVelocity() {
+    const platformVelocity = { x: 0, y: 0, z: 0 };
+    
+    // Only kinematic tiles move; static ones (and the air) have no velocity
+    if (!groundBody || groundBody.type !== CANNON.Body.KINEMATIC || !canJump) {
+        return platformVelocity;
+    }
+    
+    // Still touching it? (the player may have walked off the edge)
+    const touching = window.physics.getWorld().contacts.some(contact =>
+        (contact.bi === playerBody && contact.bj === groundBody) ||
+        (contact.bi === groundBody && contact.bj === playerBody)
+    );
+    if (!touching) {
+        return platformVelocity;
+    }
+    
+    // Surface velocity where the player stands: the platform's velocity plus its spin (v + ω × r)
+    const offset = playerBody.position.vsub(groundBody.position);
+    const surfaceVelocity = groundBody.velocity.vadd(groundBody.angularVelocity.cross(offset));
+    platformVelocity.x = surfaceVelocity.x;
+    platformVelocity.y = surfaceVelocity.y;
+    platformVelocity.z = surfaceVelocity.z;
+    
+    return platformVelocity;
+}
+
 /**
  * Start a dash in the current movement direction
  */
 function startDash() {
     if (dashCooldown <= 0) {
         movementState.dashing = true;
-        dashTimer = performance.now();
+        dashTimer = window.physics.getSimulationTime();
         
         // Get current movement direction or use facing direction if not moving
         let dashDirection = { x: 0, z: 0 };
@@ -515,9 +657,10 @@ function startDash() {
             dashDirection.x /= length;
             dashDirection.z /= length;
             
-            // Apply dash force
-            playerBody.velocity.x = dashDirection.x * DASH_FORCE;
-            playerBody.velocity.z = dashDirection.z * DASH_FORCE;
+            // Apply dash force (on top of the platform's motion)
+            const platformVelocity = getPlatformVelocity();
+            playerBody.velocity.x = platformVelocity.x + dashDirection.x * DASH_FORCE;
+            playerBody.velocity.z = platformVelocity.z + dashDirection.z * DASH_FORCE;
             
             // Slight upward boost if falling
             if (playerBody.velocity.y < 0) {
@@ -558,11 +701,14 @@ function updateDash(currentTime) {
 function startSlide() {
     if (canSlide && !movementState.sliding && slideCooldown <= 0) {
         movementState.sliding = true;
-        slideTimer = performance.now();
+        slideTimer = window.physics.getSimulationTime();
         
-        // Get current velocity
+        // Get current velocity over the ground (riding a conveyor belt counts)
         const velocity = playerBody.velocity;
-        const horizontalSpeed = Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z);
+        const belt = window.tiles ? window.tiles.getConveyorVelocity(playerBody) : { x: 0, z: 0 };
+        const groundVelocityX = velocity.x + belt.x;
+        const groundVelocityZ = velocity.z + belt.z;
+        const horizontalSpeed = Math.sqrt(groundVelocityX * groundVelocityX + groundVelocityZ * groundVelocityZ);
         
         // Only slide if moving fast enough
         if (horizontalSpeed > 3) {
@@ -589,6 +735,11 @@ function startSlide() {
  */
 function updateSlide(currentTime) {
     if (movementState.sliding) {
+        // Sliding down a slope speeds up and keeps going until the slope runs out
+        if (slideDownSlope()) {
+            return;
+        }
+        
         if (currentTime - slideTimer >= SLIDE_DURATION) {
             // End slide
             movementState.sliding = false;
@@ -601,6 +752,59 @@ function updateSlide(currentTime) {
     }
 }
 
+/**
+ * Pull a slide downhill when the player is on a slope, so sliding down a ramp builds speed
+ * @returns {boolean} Whether the player is sliding downhill
+ */
+function slideDownSlope() {
+    const normal = getGroundNormal();
+    if (!normal || normal.y > 0.999) {
+        return false;
+    }
+    
+    // Horizontal part of gravity along the slope (points downhill)
+    const gravity = window.physics.getGravity();
+    const downhillX = -gravity * normal.y * normal.x;
+    const downhillZ = -gravity * normal.y * normal.z;
+    
+    // Only going downhill speeds the slide up; climbing slows it as usual
+    const velocity = playerBody.velocity;
+    if (velocity.x * downhillX + velocity.z * downhillZ <= 0) {
+        return false;
+    }
+    
+    // Build speed up to the speed cap
+    if (Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z) < MAX_VELOCITY) {
+        const dt = window.physics.FIXED_TIME_STEP;
+        velocity.x += downhillX * SLIDE_SLOPE_BOOST * dt;
+        velocity.z += downhillZ * SLIDE_SLOPE_BOOST * dt;
+    }
+    
+    return true;
+}
+
+/**
+ * Get the normal of the ground under the player's feet
+ *
+ * Probes straight down rather than reading contacts: running down a slope the player
+ * skims just above the surface and only touches it every few ticks.
+ * @returns {CANNON.Vec3|null} Normal of the ground, or null in the air or over a surface too steep to stand on
+ */
+function getGroundNormal() {
+    const from = playerBody.position;
+    const to = new CANNON.Vec3(from.x, from.y - PLAYER_HEIGHT / 2 - GROUND_PROBE_DISTANCE, from.z);
+    const result = new CANNON.RaycastResult();
+    
+    // Backfaces are skipped, so the probe doesn't hit the inside of the player's own body
+    window.physics.getWorld().raycastClosest(from, to, { skipBackfaces: true }, result);
+    
+    if (!result.hasHit || result.body === playerBody || result.hitNormalWorld.y <= GROUND_NORMAL_Y) {
+        return null;
+    }
+    
+    return result.hitNormalWorld;
+}
+
 /**
  * Check if player can wall run on a surface
  */
@@ -643,7 +847,7 @@ function startWallRun(contactNormal) {
     
     // Start wall run
     movementState.wallRunning = true;
-    wallRunTimer = performance.now();
+    wallRunTimer = window.physics.getSimulationTime();
     
     // Apply upward force to counter gravity
     playerBody.velocity.y = Math.max(playerBody.velocity.y, 0);
@@ -724,15 +928,180 @@ function performWallJump() {
     }
 }
 
+/**
+ * Get the keyboard state to act on: the live keyboard, or the replay being watched
+ */
+function getInputKeyboard() {
+    if (window.replay && window.replay.isPlaying()) {
+        return window.replay.getPlaybackKeyboard();
+    }
+    
+    return window.physics.getKeyboard();
+}
+
+/**
+ * Throw the player off a launch pad
+ * @param {Object} impulse - { x, y, z } impulse (N·s) of the pad
+ */
+function launch(impulse) {
+    // Start from rest so every launch from a pad flies the same arc
+    playerBody.velocity.set(0, 0, 0);
+    playerBody.applyImpulse(new CANNON.Vec3(impulse.x, impulse.y, impulse.z), playerBody.position);
+    
+    // Airborne, with the double jump left to correct the landing
+    canJump = false;
+    hasDoubleJump = true;
+    movementState.launched = true;
+    movementState.jumping = false;
+    movementState.doubleJumping = false;
+    movementState.sliding = false;
+    movementState.dashing = false;
+    
+    // Play launch sound if available
+    if (window.audio && window.audio.playSound) {
+        window.audio.playSound('launch');
+    }
+}
+
+/**
+ * Knock the player away, off a zip line if they're on one (a drone hitting them)
+ * @param {Object} impulse - { x, y, z } impulse (N·s)
+ */
+function knockBack(impulse) {
+    if (movementState.ziplining) {
+        releaseZipline();
+    }
+    
+    // The hit takes over from whatever the player was doing, and isn't held back by the speed cap until landing
+    playerBody.velocity.set(0, 0, 0);
+    playerBody.applyImpulse(new CANNON.Vec3(impulse.x, impulse.y, impulse.z), playerBody.position);
+    canJump = false;
+    movementState.launched = true;
+    movementState.sliding = false;
+    movementState.dashing = false;
+    
+    // Play hit sound if available
+    if (window.audio && window.audio.playSound) {
+        window.audio.playSound('knockback');
+    }
+}
+
+/**
+ * Check whether the player can grab a zip line now (only in the air, and not right after letting go)
+ */
+function canGrabZipline() {
+    return !movementState.ziplining && !canJump && ziplineCooldown <= 0;
+}
+
+/**
+ * Get where the player's hands are, for grabbing zip lines
+ * @returns {Object} { x, y, z } position just above the player's head
+ */
+function getHandPosition() {
+    return {
+        x: playerBody.position.x,
+        y: playerBody.position.y + PLAYER_HEIGHT / 2 + ZIPLINE_HAND_HEIGHT,
+        z: playerBody.position.z
+    };
+}
+
+/**
+ * Grab a zip line and start riding it
+ * @param {Object} line - { start, end, length } zip line
+ * @param {number} progress - Where along the line (0-1) it was grabbed
+ */
+function grabZipline(line, progress) {
+    zipline = line;
+    ziplineProgress = progress;
+    ziplineGrabTime = window.physics.getSimulationTime();
+    
+    // Hanging ends every other movement
+    movementState.ziplining = true;
+    movementState.launched = false;
+    movementState.jumping = false;
+    movementState.doubleJumping = false;
+    movementState.falling = false;
+    movementState.wallRunning = false;
+    movementState.sliding = false;
+    movementState.dashing = false;
+    
+    // Play zip line sound if available
+    if (window.audio && window.audio.playSound) {
+        window.audio.playSound('zipline');
+    }
+}
+
+/**
+ * Ride the zip line, letting go at the far end or with a dismount jump
+ */
+function updateZipline() {
+    const keyboard = getInputKeyboard();
+    const currentTime = window.physics.getSimulationTime();
+    const { start, end, length } = zipline;
+    const direction = new CANNON.Vec3(
+        (end.x - start.x) / length,
+        (end.y - start.y) / length,
+        (end.z - start.z) / length
+    );
+    
+    // Dismount jump: let go and jump, keeping the ride's speed along the line
+    if ((keyboard[' '] || keyboard.Space) && currentTime - ziplineGrabTime > ZIPLINE_DISMOUNT_DELAY) {
+        releaseZipline();
+        playerBody.velocity.set(direction.x * ZIPLINE_SPEED, PLAYER_JUMP_FORCE, direction.z * ZIPLINE_SPEED);
+        hasDoubleJump = true;
+        lastJumpTime = currentTime;
+        movementState.jumping = true;
+        
+        // Play jump sound if available
+        if (window.audio && window.audio.playSound) {
+            window.audio.playSound('jump');
+        }
+        return;
+    }
+    
+    // Ride along the line; at the far end drop onto the tile below
+    ziplineProgress += ZIPLINE_SPEED * window.physics.FIXED_TIME_STEP / length;
+    if (ziplineProgress >= 1) {
+        releaseZipline();
+        playerBody.velocity.set(0, 0, 0);
+        return;
+    }
+    
+    // Hang from the line by the hands
+    playerBody.position.set(
+        start.x + (end.x - start.x) * ziplineProgress,
+        start.y + (end.y - start.y) * ziplineProgress - PLAYER_HEIGHT / 2 - ZIPLINE_HAND_HEIGHT,
+        start.z + (end.z - start.z) * ziplineProgress
+    );
+    direction.scale(ZIPLINE_SPEED, playerBody.velocity);
+    playerBody.angularVelocity.set(0, 0, 0);
+    
+    // Face along the line
+    movementDirection.x = direction.x;
+    movementDirection.z = direction.z;
+}
+
+/**
+ * Let go of the zip line
+ */
+function releaseZipline() {
+    zipline = null;
+    movementState.ziplining = false;
+    ziplineCooldown = ZIPLINE_REGRAB_COOLDOWN;
+}
+
 /**
  * Update the player's movement state based on velocity
  */
 function updateMovementState() {
-    // Check if player is falling
-    if (playerBody.velocity.y < FALL_THRESHOLD) {
+    // Vertical speed relative to the platform under the player, so riding an elevator isn't jumping or falling
+    const verticalVelocity = playerBody.velocity.y - getPlatformVelocity().y;
+    
+    // Check if player is falling (going down a slope while touching it, or down a zip line, isn't)
+    if (verticalVelocity < FALL_THRESHOLD && !getGroundNormal() && !movementState.ziplining) {
         movementState.falling = true;
         movementState.jumping = false;
-    } else if (playerBody.velocity.y > 0) {
+    } else if (verticalVelocity > 0) {
         // Still going up
         movementState.falling = false;
     } else if (canJump) {
@@ -749,25 +1118,51 @@ function updateMovementState() {
 function handleFall() {
     console.log("Player fell off the map");
     
-    // Apply score penalty
-    score = Math.max(0, score - SCORE_HEALTH_PENALTY);
-    if (window.ui) {
-        window.ui.updateScore(score);
-    }
-    
-    // Decrease health
-    health -= 20;
-    if (window.ui) {
-        window.ui.updateHealth(health);
+    // A power-up (the shield) can take the fall, leaving score and health alone
+    if (absorbFall()) {
+        console.log("Fall absorbed by a power-up");
+    } else {
+        // Apply score penalty
+        score = Math.max(0, score - SCORE_HEALTH_PENALTY);
+        if (window.ui) {
+            window.ui.updateScore(score);
+        }
+        
+        // Decrease health
+        takeDamage(20);
     }
     
-    // Check if game over
-    if (health <= 0 && window.ui) {
-        window.ui.showGameOver(score);
+    // Out of health: the run is over, and restarting the game starts the next one
+    if (health <= 0) {
+        return;
     }
     
     // Restart player position
     restartPlayer();
+    
+    // Carry on from the last checkpoint reached
+    const checkpoint = window.tiles ? window.tiles.getCheckpoint() : null;
+    if (checkpoint) {
+        playerBody.position.set(checkpoint.x, checkpoint.y + PLAYER_HEIGHT, checkpoint.z);
+        console.log(`Respawned on checkpoint at height ${checkpoint.y}`);
+    }
+}
+
+/**
+ * Handle the player landing on a tile, telling the game mode about tiles not reached before this run
+ * (called from the physics step's collision events)
+ * @param {CANNON.Body} body - Body the player landed on
+ */
+function handleTileCollision(body) {
+    const tile = window.tiles ? window.tiles.getTileByBody(body) : null;
+    if (!tile || tile.index <= lastTileReached) {
+        return;
+    }
+    
+    lastTileReached = tile.index;
+    if (window.gameModes) {
+        window.gameModes.tileReached(tile);
+    }
 }
 
 /**
@@ -778,23 +1173,217 @@ function restartPlayer() {
     playerBody.position.set(0, PLAYER_HEIGHT, 0);
     playerBody.velocity.set(0, 0, 0);
     playerBody.angularVelocity.set(0, 0, 0);
+    playerBody.quaternion.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), Math.PI / 2);
+    playerBody.updateInertiaWorld(true);
     
     // Reset player state
     canJump = false;
+    groundBody = null;
+    groundMaterial = null;
     movementState.jumping = false;
     movementState.falling = false;
     movementState.doubleJumping = false;
     movementState.wallRunning = false;
+    movementState.launched = false;
+    movementState.ziplining = false;
+    zipline = null;
+    
+    // Reset abilities so every restart starts from the same state (replays depend on it)
+    hasDoubleJump = false;
+    movementState.dashing = false;
+    movementState.sliding = false;
+    dashCooldown = 0;
+    slideCooldown = 0;
+    wallRunCooldown = 0;
+    ziplineCooldown = 0;
+    lastJumpTime = -JUMP_COOLDOWN;
     
     // If health is zero, reset everything
     if (health <= 0) {
-        score = 0;
-        health = 100;
-        highestY = 0;
-        if (window.ui) {
-            window.ui.updateScore(score);
-            window.ui.updateHealth(health);
+        resetRun();
+    }
+}
+
+/**
+ * Reset score, health and run timing for a new run
+ */
+function resetRun() {
+    score = 0;
+    health = MAX_HEALTH;
+    collected = 0;
+    activeModifiers.length = 0;
+    highestY = 0;
+    lastScoredHeight = 0;
+    lastTileReached = -1;
+    runStartTime = window.physics.getSimulationTime();
+    lastScoreUpdate = runStartTime;
+    if (window.tiles && window.tiles.resetCheckpoints) {
+        window.tiles.resetCheckpoints();
+    }
+    if (window.ui) {
+        window.ui.updateScore(score);
+        window.ui.updateHealth(health);
+        window.ui.updateCollected(collected);
+        window.ui.updatePowerUps([]);
+    }
+}
+
+/**
+ * Pick up a collectible and get its reward
+ * @param {string} type - Collectible type (coin, gem, health or powerUp)
+ * @param {string} [powerUp] - Power-up a powerUp collectible grants
+ */
+function collect(type, powerUp) {
+    const reward = COLLECTIBLE_REWARDS[type];
+    if (!reward) {
+        console.warn(`Unknown collectible type "${type}"`);
+        return;
+    }
+    
+    collected++;
+    
+    if (reward.score) {
+        score += reward.score;
+    }
+    if (reward.health) {
+        health = Math.min(MAX_HEALTH, health + reward.health);
+    }
+    if (powerUp) {
+        addPowerUp(powerUp);
+    }
+    
+    if (window.ui) {
+        window.ui.updateScore(score);
+        window.ui.updateHealth(health);
+        window.ui.updateCollected(collected);
+    }
+    
+    // Play pickup sound if available
+    if (window.audio && window.audio.playSound) {
+        window.audio.playSound('pickup');
+    }
+}
+
+/**
+ * Start a power-up, or restart its timer if it's already running
+ * @param {string} type - Power-up type (jetpack, featherFall, magnet or shield)
+ */
+function addPowerUp(type) {
+    const powerUp = POWER_UPS[type];
+    if (!powerUp) {
+        console.warn(`Unknown power-up "${type}"`);
+        return;
+    }
+    
+    const modifier = activeModifiers.find(active => active.type === type);
+    if (modifier) {
+        modifier.remaining = powerUp.duration;
+    } else {
+        activeModifiers.push({ type, remaining: powerUp.duration });
+    }
+    
+    console.log(`Power-up: ${powerUp.label}`);
+    
+    if (window.ui) {
+        window.ui.showNotification(`${powerUp.label}!`, 'power-up');
+        window.ui.updatePowerUps(getActivePowerUps());
+    }
+}
+
+/**
+ * Apply the active power-ups for this tick and count down their timers
+ * @param {Object} keyboard - Keyboard state of this tick
+ */
+function updateModifiers(keyboard) {
+    if (activeModifiers.length === 0) {
+        return;
+    }
+    
+    activeModifiers.forEach(modifier => {
+        const powerUp = POWER_UPS[modifier.type];
+        if (powerUp.tick) {
+            powerUp.tick(keyboard);
         }
+        modifier.remaining -= TICK_DURATION;
+    });
+    
+    // Drop the ones that ran out
+    for (let i = activeModifiers.length - 1; i >= 0; i--) {
+        if (activeModifiers[i].remaining <= 0) {
+            console.log(`Power-up ended: ${POWER_UPS[activeModifiers[i].type].label}`);
+            activeModifiers.splice(i, 1);
+        }
+    }
+    
+    if (window.ui) {
+        window.ui.updatePowerUps(getActivePowerUps());
+    }
+}
+
+/**
+ * Let the first power-up that can take a fall take it
+ * @returns {boolean} Whether the fall was absorbed (using that power-up up)
+ */
+function absorbFall() {
+    const index = activeModifiers.findIndex(modifier => {
+        const powerUp = POWER_UPS[modifier.type];
+        return powerUp.absorbFall && powerUp.absorbFall();
+    });
+    if (index === -1) {
+        return false;
+    }
+    
+    activeModifiers.splice(index, 1);
+    if (window.ui) {
+        window.ui.updatePowerUps(getActivePowerUps());
+    }
+    return true;
+}
+
+/**
+ * Get the active power-ups for the HUD
+ * @returns {Array} { type, label, remaining } for each, remaining in ms
+ */
+function getActivePowerUps() {
+    return activeModifiers.map(modifier => ({
+        type: modifier.type,
+        label: POWER_UPS[modifier.type].label,
+        remaining: modifier.remaining
+    }));
+}
+
+/**
+ * Jetpack: thrust upwards while jump is held, up to a climbing speed
+ * @param {Object} keyboard - Keyboard state of this tick
+ */
+function applyJetpack(keyboard) {
+    if (!(keyboard[' '] || keyboard.Space) || movementState.ziplining) {
+        return;
+    }
+    
+    if (playerBody.velocity.y < JETPACK_MAX_RISE_SPEED) {
+        playerBody.velocity.y = Math.min(
+            JETPACK_MAX_RISE_SPEED,
+            playerBody.velocity.y + JETPACK_THRUST * window.physics.FIXED_TIME_STEP
+        );
+    }
+}
+
+/**
+ * Feather fall: cancel part of gravity for the player on the way down
+ */
+function applyFeatherFall() {
+    if (playerBody.velocity.y < 0) {
+        playerBody.velocity.y -= window.physics.getGravity() * (1 - FEATHER_FALL_GRAVITY_SCALE) * window.physics.FIXED_TIME_STEP;
+    }
+}
+
+/**
+ * Magnet: pull nearby collectibles in
+ */
+function applyMagnet() {
+    if (window.tiles && window.tiles.attractCollectibles) {
+        window.tiles.attractCollectibles(playerBody.position, MAGNET_RADIUS, MAGNET_SPEED * window.physics.FIXED_TIME_STEP);
     }
 }
 
@@ -825,6 +1414,18 @@ function getPlayerPosition() {
     return playerBody.position;
 }
 
+/**
+ * Get the stats of the current run
+ * @returns {Object} { score, maxHeight, duration } with duration in seconds
+ */
+function getRunStats() {
+    return {
+        score: score,
+        maxHeight: highestY,
+        duration: (window.physics.getSimulationTime() - runStartTime) / 1000
+    };
+}
+
 /**
  * Get the player's physics body
  */
@@ -846,9 +1447,18 @@ function getMovementDirection() {
 
 /**
  * Take damage to the player
+ * @param {number} amount - Health to lose
  */
-function takeDamage() {
-    // Implement damage logic
+function takeDamage(amount) {
+    // Nothing more to lose once the game is over
+    if (health <= 0) {
+        return;
+    }
+    
+    health = Math.max(0, health - amount);
+    if (window.ui) {
+        window.ui.updateHealth(health);
+    }
 }
 
 /**
@@ -875,15 +1485,27 @@ function getMovementState() {
 // Export player functions for use in other modules
 window.player = {
     initPlayer,
+    stepPlayer,
     updatePlayer,
     restartPlayer,
+    resetRun,
+    handleFall,
     getPlayerPosition,
     getMovementDirection,
     getPlayerBody,
     takeDamage,
     getHealth,
     getScore,
+    getRunStats,
     getMovementState,
+    collect,
+    addPowerUp,
+    getActivePowerUps,
+    launch,
+    knockBack,
+    canGrabZipline,
+    getHandPosition,
+    grabZipline,
     createOtherPlayerMesh,
     getMouseControls: function() {
         // Return default mouse controls if not implemented
@@ -0,0 +1,327 @@
+/**
+ * protocol.js - Binary snapshot protocol for multiplayer
+ *
+ * This file encodes and decodes the compact binary messages used for player
+ * positions: positions are quantized to centimetres, rotation to 16 bits and
+ * animations to an enum. Snapshots from the server only carry the fields that
+ * changed since the last snapshot the client acknowledged. The same code runs
+ * in the browser (network.js) and on the server (server.js); clients that
+ * don't negotiate it keep using the JSON messages.
+ */
+
+(function(root) {
+    // Wire format names, in order of preference
+    const FORMATS = {
+        BINARY: 'binary',
+        JSON: 'json'
+    };
+    
+    // First byte of every binary message
+    const MESSAGE_TYPES = {
+        SNAPSHOT: 1, // Server to client: room snapshot (full or delta)
+        POSITION: 2 // Client to server: local player state and snapshot ack
+    };
+    
+    // Bits saying which fields follow a player entry
+    const FIELDS = {
+        X: 1,
+        Y: 2,
+        Z: 4,
+        ROTATION: 8,
+        ANIMATION: 16
+    };
+    const ALL_FIELDS = FIELDS.X | FIELDS.Y | FIELDS.Z | FIELDS.ROTATION | FIELDS.ANIMATION;
+    
+    // Animations that can be sent (the index is the wire value)
+    const ANIMATIONS = ['idle', 'walk', 'run', 'jump', 'doubleJump', 'fall', 'dash', 'slide', 'wallRun', 'launch', 'zipline'];
+    
+    // Quantization
+    const POSITION_SCALE = 100; // Units per metre (1 cm precision)
+    const ROTATION_STEPS = 65536; // Steps per full turn
+    const INT16_MIN = -32768;
+    const INT16_MAX = 32767;
+    
+    // Sizes in bytes
+    const SNAPSHOT_HEADER_SIZE = 11; // type, seq, base seq, player count
+    const PLAYER_HEADER_SIZE = 5; // id, field bits
+    const POSITION_MESSAGE_SIZE = 16; // type, ack, quantized state
+    
+    // Base sequence meaning "no base, this is a full snapshot"
+    const NO_BASE = 0;
+    
+    /**
+     * Clamp a number into an integer range
+     */
+    function clampInt(value, min, max) {
+        return Math.max(min, Math.min(max, Math.round(value)));
+    }
+    
+    /**
+     * Quantize a player position for sending
+     * @param {Object} position - { x, y, z, rotation, animation }
+     * @returns {Object} Integer state
+     */
+    function quantizeState(position) {
+        const x = Number(position.x) || 0;
+        const y = Number(position.y) || 0;
+        const z = Number(position.z) || 0;
+        const rotation = Number(position.rotation) || 0;
+        
+        // Wrap rotation into [0, 2π) before scaling
+        const turn = ((rotation / (Math.PI * 2)) % 1 + 1) % 1;
+        const animation = ANIMATIONS.indexOf(position.animation);
+        
+        return {
+            x: clampInt(x * POSITION_SCALE, INT16_MIN, INT16_MAX),
+            y: clampInt(y * POSITION_SCALE, -2147483648, 2147483647),
+            z: clampInt(z * POSITION_SCALE, INT16_MIN, INT16_MAX),
+            rotation: Math.round(turn * ROTATION_STEPS) % ROTATION_STEPS,
+            animation: animation >= 0 ? animation : 0
+        };
+    }
+    
+    /**
+     * Turn a quantized state back into a position
+     * @param {Object} state - Integer state
+     * @returns {Object} { x, y, z, rotation, animation }
+     */
+    function dequantizeState(state) {
+        return {
+            x: state.x / POSITION_SCALE,
+            y: state.y / POSITION_SCALE,
+            z: state.z / POSITION_SCALE,
+            rotation: state.rotation / ROTATION_STEPS * Math.PI * 2,
+            animation: ANIMATIONS[state.animation] || 'idle'
+        };
+    }
+    
+    /**
+     * Work out which fields of a state differ from its base
+     */
+    function getChangedFields(state, base) {
+        if (!base) {
+            return ALL_FIELDS;
+        }
+        
+        let fields = 0;
+        if (state.x !== base.x) fields |= FIELDS.X;
+        if (state.y !== base.y) fields |= FIELDS.Y;
+        if (state.z !== base.z) fields |= FIELDS.Z;
+        if (state.rotation !== base.rotation) fields |= FIELDS.ROTATION;
+        if (state.animation !== base.animation) fields |= FIELDS.ANIMATION;
+        
+        return fields;
+    }
+    
+    /**
+     * Size in bytes of the given fields
+     */
+    function getFieldsSize(fields) {
+        let size = 0;
+        if (fields & FIELDS.X) size += 2;
+        if (fields & FIELDS.Y) size += 4;
+        if (fields & FIELDS.Z) size += 2;
+        if (fields & FIELDS.ROTATION) size += 2;
+        if (fields & FIELDS.ANIMATION) size += 1;
+        
+        return size;
+    }
+    
+    /**
+     * Write the given fields of a state
+     * @returns {number} Offset after the written fields
+     */
+    function writeFields(view, offset, state, fields) {
+        if (fields & FIELDS.X) {
+            view.setInt16(offset, state.x);
+            offset += 2;
+        }
+        if (fields & FIELDS.Y) {
+            view.setInt32(offset, state.y);
+            offset += 4;
+        }
+        if (fields & FIELDS.Z) {
+            view.setInt16(offset, state.z);
+            offset += 2;
+        }
+        if (fields & FIELDS.ROTATION) {
+            view.setUint16(offset, state.rotation);
+            offset += 2;
+        }
+        if (fields & FIELDS.ANIMATION) {
+            view.setUint8(offset, state.animation);
+            offset += 1;
+        }
+        
+        return offset;
+    }
+    
+    /**
+     * Read the given fields into a state (fields not present keep their value)
+     * @returns {number} Offset after the read fields
+     */
+    function readFields(view, offset, state, fields) {
+        if (fields & FIELDS.X) {
+            state.x = view.getInt16(offset);
+            offset += 2;
+        }
+        if (fields & FIELDS.Y) {
+            state.y = view.getInt32(offset);
+            offset += 4;
+        }
+        if (fields & FIELDS.Z) {
+            state.z = view.getInt16(offset);
+            offset += 2;
+        }
+        if (fields & FIELDS.ROTATION) {
+            state.rotation = view.getUint16(offset);
+            offset += 2;
+        }
+        if (fields & FIELDS.ANIMATION) {
+            state.animation = view.getUint8(offset);
+            offset += 1;
+        }
+        
+        return offset;
+    }
+    
+    /**
+     * Get the type of a binary message
+     * @param {ArrayBuffer} buffer - Message
+     * @returns {number} One of MESSAGE_TYPES (0 if empty)
+     */
+    function getMessageType(buffer) {
+        return buffer.byteLength > 0 ? new DataView(buffer).getUint8(0) : 0;
+    }
+    
+    /**
+     * Encode a room snapshot, as a delta against an acknowledged snapshot if there is one
+     * @param {number} seq - Sequence number of this snapshot (never 0)
+     * @param {Map} states - Player ID -> quantized state
+     * @param {number} [baseSeq] - Sequence number of the base snapshot
+     * @param {Map} [baseStates] - Player ID -> quantized state of the base snapshot
+     * @returns {ArrayBuffer} Encoded snapshot
+     */
+    function encodeSnapshot(seq, states, baseSeq, baseStates) {
+        const hasBase = Boolean(baseStates);
+        
+        // Every player in the room is listed; unchanged players are just their ID
+        const entries = [];
+        let size = SNAPSHOT_HEADER_SIZE;
+        states.forEach((state, id) => {
+            const fields = getChangedFields(state, hasBase ? baseStates.get(id) : null);
+            entries.push({ id, state, fields });
+            size += PLAYER_HEADER_SIZE + getFieldsSize(fields);
+        });
+        
+        const buffer = new ArrayBuffer(size);
+        const view = new DataView(buffer);
+        view.setUint8(0, MESSAGE_TYPES.SNAPSHOT);
+        view.setUint32(1, seq);
+        view.setUint32(5, hasBase ? baseSeq : NO_BASE);
+        view.setUint16(9, entries.length);
+        
+        let offset = SNAPSHOT_HEADER_SIZE;
+        entries.forEach((entry) => {
+            view.setUint32(offset, entry.id);
+            view.setUint8(offset + 4, entry.fields);
+            offset = writeFields(view, offset + PLAYER_HEADER_SIZE, entry.state, entry.fields);
+        });
+        
+        return buffer;
+    }
+    
+    /**
+     * Decode a room snapshot
+     * @param {ArrayBuffer} buffer - Encoded snapshot
+     * @param {Map} history - Sequence number -> decoded states of earlier snapshots
+     * @returns {Object|null} { seq, states } or null if the base snapshot is unknown
+     */
+    function decodeSnapshot(buffer, history) {
+        const view = new DataView(buffer);
+        const seq = view.getUint32(1);
+        const baseSeq = view.getUint32(5);
+        const count = view.getUint16(9);
+        
+        // Deltas need the snapshot they were made against
+        let baseStates = null;
+        if (baseSeq !== NO_BASE) {
+            baseStates = history.get(baseSeq);
+            if (!baseStates) {
+                return null;
+            }
+        }
+        
+        const states = new Map();
+        let offset = SNAPSHOT_HEADER_SIZE;
+        for (let i = 0; i < count; i++) {
+            const id = view.getUint32(offset);
+            const fields = view.getUint8(offset + 4);
+            
+            // Start from the base state and overwrite what changed
+            const base = baseStates && baseStates.get(id);
+            const state = base ? Object.assign({}, base) : { x: 0, y: 0, z: 0, rotation: 0, animation: 0 };
+            offset = readFields(view, offset + PLAYER_HEADER_SIZE, state, fields);
+            
+            states.set(id, state);
+        }
+        
+        return { seq, states };
+    }
+    
+    /**
+     * Encode the local player's state along with the last snapshot received
+     * @param {Object} position - { x, y, z, rotation, animation }
+     * @param {number} ack - Sequence number of the last decoded snapshot (0 if none)
+     * @returns {ArrayBuffer} Encoded message
+     */
+    function encodePosition(position, ack) {
+        const buffer = new ArrayBuffer(POSITION_MESSAGE_SIZE);
+        const view = new DataView(buffer);
+        view.setUint8(0, MESSAGE_TYPES.POSITION);
+        view.setUint32(1, ack || NO_BASE);
+        writeFields(view, 5, quantizeState(position), ALL_FIELDS);
+        
+        return buffer;
+    }
+    
+    /**
+     * Decode a position message
+     * @param {ArrayBuffer} buffer - Encoded message
+     * @returns {Object|null} { ack, position } or null if the message is malformed
+     */
+    function decodePosition(buffer) {
+        if (buffer.byteLength !== POSITION_MESSAGE_SIZE) {
+            return null;
+        }
+        
+        const view = new DataView(buffer);
+        const state = {};
+        readFields(view, 5, state, ALL_FIELDS);
+        
+        return {
+            ack: view.getUint32(1),
+            position: dequantizeState(state)
+        };
+    }
+    
+    const protocol = {
+        FORMATS,
+        MESSAGE_TYPES,
+        ANIMATIONS,
+        quantizeState,
+        dequantizeState,
+        getMessageType,
+        encodeSnapshot,
+        decodeSnapshot,
+        encodePosition,
+        decodePosition
+    };
+    
+    // Export for Node.js (server) or the browser
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = protocol;
+    } else {
+        root.protocol = protocol;
+    }
+})(typeof window !== 'undefined' ? window : this);
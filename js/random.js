@@ -0,0 +1,71 @@
+/**
+ * random.js - Seeded pseudo-random number generation
+ *
+ * This file provides a small seeded PRNG (mulberry32) so that anything built
+ * from the same seed, like the tower in tiles.js, comes out identical on every
+ * run and every machine. It works both in the browser (window.random) and in
+ * Node.js (module.exports) so the server can share seeds with clients.
+ */
+
+(function(root) {
+    /**
+     * Convert a seed (number or string) into an unsigned 32-bit integer
+     * @param {number|string} seed - Seed value to normalize
+     * @returns {number} Unsigned 32-bit seed
+     */
+    function hashSeed(seed) {
+        // Numbers are used directly so seeds stay readable in URLs and logs
+        if (typeof seed === 'number' && isFinite(seed)) {
+            return seed >>> 0;
+        }
+        
+        // Hash anything else as a string (FNV-1a)
+        const text = String(seed);
+        let hash = 2166136261;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 16777619);
+        }
+        
+        return hash >>> 0;
+    }
+    
+    /**
+     * Create a seeded random number generator
+     * @param {number|string} seed - Seed for the generator
+     * @returns {Function} Function returning a float in [0, 1), like Math.random
+     */
+    function createRandom(seed) {
+        let state = hashSeed(seed);
+        
+        // mulberry32: fast, small and good enough for level generation
+        return function() {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+    
+    /**
+     * Generate a fresh seed for a new tower
+     * @returns {number} Unsigned 32-bit seed
+     */
+    function randomSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+    
+    const random = {
+        hashSeed,
+        createRandom,
+        randomSeed
+    };
+    
+    // Export for Node.js (server) or the browser
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = random;
+    } else {
+        root.random = random;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,324 @@
+/**
+ * replay.js - Run recording and playback
+ *
+ * This file records a run as a stream of input frames, one per simulation tick
+ * (the keys handleInput reads plus the camera orbit angle), together with the
+ * tower seed, so it can be saved as a JSON file and watched again later. While
+ * a replay plays, player.js reads its input from here instead of the live
+ * keyboard and the player's position isn't sent to other players (spectator
+ * mode).
+ */
+
+// Replay variables
+let replayMode = 'idle'; // 'idle', 'recording' or 'playing'
+let currentRecording = null; // Recording in progress
+let lastRecording = null; // Most recently finished recording (what gets saved)
+let playbackRecording = null; // Recording being played back
+let playbackIndex = 0; // Index of the next frame to play
+let playbackKeyboard = {}; // Keyboard state of the frame being played
+let playbackCameraAngle = 0; // Camera orbit angle of the frame being played
+let liveTower = null; // Tower to go back to when playback ends
+let liveTick = 0; // Simulation tick to go back to when playback ends
+let liveMode = null; // Game mode to go back to when playback ends
+
+// Replay settings
+const REPLAY_VERSION = 2; // Bumped whenever the file format changes
+const REPLAY_INPUT_KEYS = [ // Keys handleInput reads; nothing else is recorded
+    'w', 'a', 's', 'd', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight',
+    ' ', 'Space', 'Shift', 'e', 'KeyE', 'c', 'KeyC'
+];
+
+/**
+ * Start recording a new run from the player's current position
+ */
+function startRecording() {
+    // Starting a run ends any replay being watched
+    if (replayMode === 'playing') {
+        stopPlayback();
+    }
+    
+    const position = window.player.getPlayerPosition();
+    
+    currentRecording = {
+        version: REPLAY_VERSION,
+        seed: window.tiles.getSeed(),
+        mode: window.gameModes ? window.gameModes.getMode().id : 'endless',
+        startTick: window.physics.getSimulationTick(),
+        towerClock: window.tiles.getTowerClock(),
+        recordedAt: new Date().toISOString(),
+        start: { x: position.x, y: position.y, z: position.z },
+        frames: []
+    };
+    replayMode = 'recording';
+    
+    console.log(`Recording run on tower ${currentRecording.seed}`);
+}
+
+/**
+ * Stop recording and keep the recording for saving
+ * @returns {Object|null} The finished recording, or null if nothing was recorded
+ */
+function stopRecording() {
+    if (replayMode !== 'recording') {
+        return null;
+    }
+    
+    lastRecording = currentRecording;
+    currentRecording = null;
+    replayMode = 'idle';
+    
+    console.log(`Recorded ${lastRecording.frames.length} frames`);
+    
+    return lastRecording;
+}
+
+/**
+ * Get the recording that would be saved: the last finished one, or the run in progress
+ */
+function getRecording() {
+    return lastRecording || currentRecording;
+}
+
+/**
+ * Record or play back one frame (called every simulation tick, before the player handles input)
+ */
+function updateReplay() {
+    if (replayMode === 'recording') {
+        recordFrame();
+    } else if (replayMode === 'playing') {
+        playFrame();
+    }
+}
+
+/**
+ * Add the live input of this tick to the recording
+ */
+function recordFrame() {
+    const keyboard = window.physics.getKeyboard();
+    
+    currentRecording.frames.push({
+        keys: REPLAY_INPUT_KEYS.filter(key => keyboard[key]),
+        angle: Math.round(window.gameScene.getCameraOrbitAngle() * 10000) / 10000
+    });
+}
+
+/**
+ * Load the input of the next recorded frame, ending playback after the last one
+ */
+function playFrame() {
+    if (playbackIndex >= playbackRecording.frames.length) {
+        stopPlayback();
+        return;
+    }
+    
+    const frame = playbackRecording.frames[playbackIndex++];
+    
+    playbackKeyboard = {};
+    REPLAY_INPUT_KEYS.forEach(key => {
+        playbackKeyboard[key] = frame.keys.indexOf(key) !== -1;
+    });
+    playbackCameraAngle = frame.angle;
+}
+
+/**
+ * Save a recording as a JSON file
+ * @param {Object} [recording] - Recording to save, defaults to getRecording()
+ * @returns {boolean} Whether there was anything to save
+ */
+function exportReplay(recording) {
+    recording = recording || getRecording();
+    if (!recording) {
+        console.warn("No recording to export");
+        return false;
+    }
+    
+    const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    // Download through a temporary link
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `diwar-replay-${recording.seed}-${Date.now()}.json`;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+    
+    console.log(`Exported replay with ${recording.frames.length} frames`);
+    
+    return true;
+}
+
+/**
+ * Parse and check a saved replay
+ * @param {string|Object} data - Contents of a replay file
+ * @returns {Object|null} Recording, or null if it isn't a replay this version can play
+ */
+function parseReplay(data) {
+    let recording = data;
+    
+    if (typeof data === 'string') {
+        try {
+            recording = JSON.parse(data);
+        } catch (error) {
+            console.error("Error parsing replay:", error);
+            return null;
+        }
+    }
+    
+    if (!recording || recording.version !== REPLAY_VERSION) {
+        console.error("Unsupported replay version:", recording && recording.version);
+        return null;
+    }
+    
+    if (recording.seed === undefined || !recording.start || !recording.towerClock || !Array.isArray(recording.frames)) {
+        console.error("Replay is missing its seed, start position, tower clock or frames");
+        return null;
+    }
+    
+    return recording;
+}
+
+/**
+ * Load a saved replay and start watching it
+ * @param {string|Object} data - Contents of a replay file
+ * @returns {boolean} Whether playback started
+ */
+function loadReplay(data) {
+    const recording = parseReplay(data);
+    if (!recording) {
+        if (window.ui && window.ui.showNotification) {
+            window.ui.showNotification("That file isn't a replay this version can play", "warning");
+        }
+        return false;
+    }
+    
+    startPlayback(recording);
+    return true;
+}
+
+/**
+ * Watch a recording: rebuild its tower and drive the player from its frames
+ * @param {Object} recording - Recording to play
+ */
+function startPlayback(recording) {
+    // The run in progress isn't finished, so it's dropped rather than kept
+    currentRecording = null;
+    
+    // Remember the live tower (possibly shared with other players) and clock to go back to
+    if (replayMode !== 'playing') {
+        liveTower = window.tiles.saveTower();
+        liveTick = window.physics.getSimulationTick();
+        liveMode = window.gameModes ? window.gameModes.getMode().id : null;
+    }
+    
+    playbackRecording = recording;
+    playbackIndex = 0;
+    playbackKeyboard = {};
+    playbackCameraAngle = 0;
+    replayMode = 'playing';
+    
+    // Rebuild the recorded tower, with the simulation and tower clocks where they were when recording started
+    window.physics.setSimulationTick(recording.startTick || 0);
+    window.tiles.resetTiles(recording.seed);
+    window.tiles.setTowerClock(recording.towerClock);
+    
+    // Start a fresh run of the recorded game mode (replays from before there were modes are endless climbs)
+    // from the recorded position
+    window.player.resetRun();
+    window.player.restartPlayer();
+    window.player.getPlayerBody().position.set(recording.start.x, recording.start.y, recording.start.z);
+    if (window.gameModes) {
+        window.gameModes.setMode(recording.mode || 'endless');
+        window.gameModes.startRun();
+    }
+    
+    console.log(`Playing replay of tower ${recording.seed} (${recording.frames.length} frames)`);
+    
+    if (window.ui && window.ui.showNotification) {
+        window.ui.showNotification(`Watching replay on tower ${recording.seed}`, "info");
+    }
+}
+
+/**
+ * Stop watching a replay and go back to the live game
+ */
+function stopPlayback() {
+    if (replayMode !== 'playing') {
+        return;
+    }
+    
+    replayMode = 'idle';
+    playbackRecording = null;
+    playbackKeyboard = {};
+    
+    console.log("Replay finished");
+    
+    // Put the live clock back, moved on by the ticks spent watching
+    window.physics.setSimulationTick(liveTick + playbackIndex);
+    
+    // Put the live tower back
+    if (liveTower) {
+        window.tiles.restoreTower(liveTower);
+        liveTower = null;
+    }
+    
+    // Carry on with a new live run in the mode the player picked; the replayed run's score and health aren't the player's
+    window.player.resetRun();
+    window.player.restartPlayer();
+    if (window.gameModes && liveMode) {
+        window.gameModes.setMode(liveMode);
+        window.gameModes.startRun();
+        liveMode = null;
+    }
+    startRecording();
+    
+    if (window.ui && window.ui.showNotification) {
+        window.ui.showNotification("Replay finished", "info");
+    }
+}
+
+/**
+ * Check whether a run is being recorded
+ */
+function isRecording() {
+    return replayMode === 'recording';
+}
+
+/**
+ * Check whether a replay is being watched
+ */
+function isPlaying() {
+    return replayMode === 'playing';
+}
+
+/**
+ * Get the keyboard state of the frame being played back
+ */
+function getPlaybackKeyboard() {
+    return playbackKeyboard;
+}
+
+/**
+ * Get the camera orbit angle of the frame being played back
+ */
+function getPlaybackCameraAngle() {
+    return playbackCameraAngle;
+}
+
+// Export replay functions
+window.replay = {
+    startRecording,
+    stopRecording,
+    getRecording,
+    updateReplay,
+    exportReplay,
+    parseReplay,
+    loadReplay,
+    startPlayback,
+    stopPlayback,
+    isRecording,
+    isPlaying,
+    getPlaybackKeyboard,
+    getPlaybackCameraAngle
+};
@@ -371,7 +371,7 @@ function animate() {
         // Get delta time for smooth animations
         const deltaTime = sceneClock.getDelta();
         
-        // Update physics
+        // Run the fixed simulation ticks due this frame (input, player, tiles and physics)
         if (window.physics) {
             window.physics.updatePhysics();
         }
@@ -392,11 +392,6 @@ function animate() {
             }
         }
         
-        // Update tiles
-        if (window.tiles) {
-            window.tiles.updateTiles();
-        }
-        
         // Update scene (includes camera and other scene elements)
         updateScene(deltaTime);
         
@@ -438,9 +433,19 @@ function startGame() {
         window.effects.initEffects();
     }
     
+    // Start the game mode's first run
+    if (window.gameModes) {
+        window.gameModes.startRun();
+    }
+    
     // Start animation loop
     animate();
     
+    // Record the first run
+    if (window.replay) {
+        window.replay.startRecording();
+    }
+    
     console.log("Game started");
 }
 
@@ -448,6 +453,11 @@ function startGame() {
  * Restart the game
  */
 function restartGame() {
+    // Stop watching a replay (this puts the live tower back)
+    if (window.replay && window.replay.isPlaying()) {
+        window.replay.stopPlayback();
+    }
+    
     // Reset player
     if (window.player) {
         window.player.restartPlayer();
@@ -462,6 +472,16 @@ function restartGame() {
         console.warn("Tiles module not available, cannot reset tiles");
     }
     
+    // Start the game mode's next run
+    if (window.gameModes) {
+        window.gameModes.startRun();
+    }
+    
+    // Record the new run
+    if (window.replay) {
+        window.replay.startRecording();
+    }
+    
     console.log("Game restarted");
 }
 
@@ -0,0 +1,48 @@
+/**
+ * scoring.js - Run scoring
+ *
+ * This file holds what a run scores for: height climbed, new tiles reached and
+ * collectibles picked up, and the game modes that have leaderboards. player.js
+ * adds up a run's score with them, and server.js uses the same values to reject
+ * leaderboard runs scoring more than their climb could or played in a mode the
+ * game doesn't have.
+ */
+
+(function(root) {
+    // Climbing
+    const SCORE_HEIGHT_MULTIPLIER = 10; // Points per unit of height
+    const SCORE_TILE_BONUS = 50; // Bonus for reaching a new tile
+    const SCORE_TILE_HEIGHT = 5; // Height (m) climbed for each tile bonus
+    const MAX_SCORE_RATE = 100; // Maximum score increase per second
+    
+    // Losing health
+    const SCORE_HEALTH_PENALTY = 100; // Penalty for losing health
+    
+    // What each collectible type (tower.js) is worth
+    const COLLECTIBLE_REWARDS = {
+        coin: { score: 25 },
+        gem: { score: 150 },
+        health: { health: 25 },
+        powerUp: { score: 50 }
+    };
+    
+    // Game mode ids (modes.js) whose runs are ranked, each on its own leaderboard
+    const GAME_MODES = ['endless', 'flood'];
+    
+    const scoring = {
+        SCORE_HEIGHT_MULTIPLIER,
+        SCORE_TILE_BONUS,
+        SCORE_TILE_HEIGHT,
+        MAX_SCORE_RATE,
+        SCORE_HEALTH_PENALTY,
+        COLLECTIBLE_REWARDS,
+        GAME_MODES
+    };
+    
+    // Export for Node.js (server) or the browser
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = scoring;
+    } else {
+        root.scoring = scoring;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -2,44 +2,161 @@
  * tiles.js - Handles tile generation and management
  * 
  * This file is responsible for creating and managing the tiles that the player
- * climbs on. It handles the creation, positioning, and physics of tiles.
+ * climbs on. It builds the meshes and physics bodies for the tile layouts from
+ * tower.js, either generated locally from a seed or streamed from the server.
  */
 
 // Global tile variables
 const tiles = []; // Array to store all active tiles
-const TILE_SIZE = 10; // Base size of each tile (width and depth)
-const TILE_HEIGHT_SPACING = 5; // Vertical distance between tiles
+const { TILE_TYPES, GADGET_TYPES, COLLECTIBLE_TYPES, POWER_UP_TYPES, TILE_SIZE, TILE_HEIGHT_SPACING, ZIPLINE_HANG_HEIGHT } = window.tower; // Shared with the server
 const INITIAL_TILE_COUNT = 10; // Number of initial tiles to generate
 const MAX_ACTIVE_TILES = 30; // Maximum number of active tiles to keep
+const TOWER_PREFETCH = 10; // Request more shared tiles when fewer than this are buffered
+const CRUMBLE_CONTACT_HEIGHT = 2; // How far above a crumbling tile the player still counts as standing on it
+const CONVEYOR_CONTACT_HEIGHT = 0.2; // How far a body's underside can be from a belt and still ride it
+const CONVEYOR_STRIPE_LENGTH = 2; // Length (m) of one arrow of the belt texture
+const ONE_WAY_OPACITY = 0.6; // Opacity of platforms that can be jumped up through
 let currentHeight = 0; // Current height of the highest tile
 let difficulty = 1; // Current difficulty level (increases with height)
-let lastTileType = null; // Track the last generated tile type
-
-// Tile types
-const TILE_TYPES = {
-    PLATFORM: 'platform',
-    STAIRS: 'stairs',
-    MOVING: 'moving',
-    CRUMBLING: 'crumbling',
-    BOUNCE: 'bounce'
-};
+let towerSeed = null; // Seed the current tower was generated from
+
+// Tower layout state
+const towerLog = []; // Every tile descriptor of the tower so far, in order
+let towerGenerator = null; // Local layout generator (null when the server owns the tower)
+let isSharedTower = false; // Whether the layout is streamed from the server
+let awaitingTowerTiles = false; // Whether a request for more shared tiles is in flight
+let nextTileIndex = 0; // Index in towerLog of the next tile to build
+let towerClockBase = 0; // Tower time (seconds) when the tower clock was last set, drives moving tiles
+let towerClockSetAt = 0; // Simulation time (ms) when the tower clock was last set
+const crumbledTiles = new Map(); // Tower time (s) each tile crumbling in a shared tower was stepped on, by index
 
 // Moving tile data
 const movingTiles = [];
+const MOVING_TILE_COLORS = {
+    [TILE_TYPES.MOVING]: 0x4682B4, // Steel blue
+    [TILE_TYPES.SPINNING]: 0x9370DB, // Medium purple
+    [TILE_TYPES.SEESAW]: 0xDAA520, // Goldenrod
+    [TILE_TYPES.ORBITING]: 0x20B2AA, // Light sea green
+    [TILE_TYPES.ELEVATOR]: 0xB0C4DE // Light steel blue
+};
+const TILE_AXES = { // Axes moving tiles turn around
+    x: new CANNON.Vec3(1, 0, 0),
+    y: new CANNON.Vec3(0, 1, 0),
+    z: new CANNON.Vec3(0, 0, 1)
+};
+
+// Conveyor tile data
+const conveyorTiles = [];
+const conveyorRiders = new Map(); // Body -> belt velocity it was carried at on the last tick
+let conveyorCanvas = null; // Arrow pattern shared by every belt texture
+
+// Gadget data (launch pads and zip lines, each belonging to the tile it leads up to)
+const gadgets = [];
+const launchedBodies = new Map(); // Body -> simulation time (ms) it was last launched
+const LAUNCH_PAD_SIZE = 2.5; // Diameter of a launch pad
+const LAUNCH_PAD_COOLDOWN = 500; // ms before a pad launches the same body again
+const ZIPLINE_GRAB_DISTANCE = 0.6; // How close (m) to a zip line the player's hands must pass to grab it
+const ZIPLINE_GRAB_LIMIT = 0.9; // Share of a zip line along which it can be grabbed (not right at the end)
+
+// Checkpoint data
+let activeCheckpoint = null; // Last checkpoint the player reached ({ index, x, y, z } of its top), where they respawn
+const CHECKPOINT_POLE_HEIGHT = 3; // Height of the flag pole on a checkpoint
+const CHECKPOINT_FLAG_COLOR = 0xB0B0B0; // Flag of a checkpoint not reached yet (gray)
+const CHECKPOINT_REACHED_COLOR = 0xFFD700; // Flag of a reached checkpoint (gold)
+
+// Collectible data (each belonging to the tile it was placed with)
+const collectibles = [];
+const COLLECTIBLE_TRIGGER_RADIUS = 0.8; // Radius of the trigger volume that picks a collectible up
+const COLLECTIBLE_SPIN_SPEED = 2; // How fast (rad/s) collectibles turn
+const COLLECTIBLE_COLORS = {
+    [COLLECTIBLE_TYPES.COIN]: 0xFFD700, // Gold
+    [COLLECTIBLE_TYPES.GEM]: 0x00E5FF, // Cyan
+    [COLLECTIBLE_TYPES.HEALTH]: 0xFF3B3B // Red
+};
+const POWER_UP_COLORS = { // Power-up collectibles are colored by what they grant
+    [POWER_UP_TYPES.JETPACK]: 0xFF6600, // Orange
+    [POWER_UP_TYPES.FEATHER_FALL]: 0xF0FFFF, // Azure
+    [POWER_UP_TYPES.MAGNET]: 0xC71585, // Medium violet red
+    [POWER_UP_TYPES.SHIELD]: 0x1E90FF // Dodger blue
+};
 
 /**
  * Initialize the tiles system and generate initial tiles
+ * @param {number|string} [seed] - Tower seed; the same seed always builds the same tower
  */
-function initTiles() {
-    console.log("Initializing tiles...");
+function initTiles(seed) {
+    // Pick a fresh seed if none was given
+    towerSeed = (seed === undefined || seed === null) ? window.random.randomSeed() : seed;
+    console.log(`Initializing tiles with seed ${towerSeed}...`);
+    
+    // Generate the layout locally
+    isSharedTower = false;
+    towerGenerator = window.tower.createTowerGenerator(towerSeed);
+    towerLog.length = 0;
+    crumbledTiles.clear();
+    
+    // Start the tower clock
+    setTowerTime(0);
     
+    buildTower();
+}
+
+/**
+ * Load a tower provided by the server so every player climbs the same layout
+ * @param {Object} data - Tower message: seed, epoch, serverTime, tiles and crumbling tiles ({ index, at })
+ */
+function loadSharedTower(data) {
+    // Keep the clock in step with the server; from here on it runs on simulation ticks
+    setTowerTime((data.serverTime - data.epoch) / 1000);
+    
+    // Reconnecting to the same tower only needs the tiles we haven't seen yet
+    if (isSharedTower && data.seed === towerSeed) {
+        appendSharedTiles(0, data.tiles || []);
+        (data.crumbled || []).forEach(crumble => crumbleTile(crumble.index, crumble.at));
+        return;
+    }
+    
+    console.log(`Loading shared tower with seed ${data.seed}...`);
+    
+    towerSeed = data.seed;
+    isSharedTower = true;
+    towerGenerator = null;
+    towerLog.length = 0;
+    (data.tiles || []).forEach(tile => towerLog.push(tile));
+    crumbledTiles.clear();
+    (data.crumbled || []).forEach(crumble => crumbledTiles.set(crumble.index, crumble.at));
+    
+    buildTower();
+}
+
+/**
+ * Add streamed tiles to the shared tower
+ * @param {number} from - Index of the first tile in the chunk
+ * @param {Array} descriptors - Tile descriptors from the server
+ */
+function appendSharedTiles(from, descriptors) {
+    awaitingTowerTiles = false;
+    
+    // Only keep tiles we don't have yet, and never leave a gap
+    descriptors.forEach((descriptor, offset) => {
+        if (from + offset === towerLog.length) {
+            towerLog.push(descriptor);
+        }
+    });
+}
+
+/**
+ * Build the tower from the start of its layout
+ */
+function buildTower() {
     // Clear any existing tiles
     clearTiles();
     
     // Reset variables
     currentHeight = 0;
     difficulty = 1;
-    lastTileType = null;
+    nextTileIndex = 0;
+    awaitingTowerTiles = false;
     
     // Create ground platform
     createGroundPlatform();
@@ -74,10 +191,7 @@ function createGroundPlatform() {
         mass: 0, // Static body
         position: new CANNON.Vec3(0, -height / 2, 0),
         shape: tileShape,
-        material: new CANNON.Material({
-            friction: 0.5,
-            restitution: 0.3
-        })
+        material: window.physics.getMaterial('platform')
     });
     window.physics.getWorld().addBody(tileBody);
     
@@ -97,37 +211,74 @@ function createGroundPlatform() {
  * Generate the next tile
  */
 function generateNextTile() {
-    // Increase height for the next tile
-    currentHeight += TILE_HEIGHT_SPACING;
+    // Get the layout of the next tile
+    const descriptor = getNextTileDescriptor();
+    if (!descriptor) {
+        return;
+    }
     
-    // Increase difficulty every 10 tiles
-    if (currentHeight / TILE_HEIGHT_SPACING % 10 === 0) {
-        difficulty = Math.min(10, difficulty + 1);
+    // Track height and difficulty of the tower
+    currentHeight = descriptor.y;
+    if (descriptor.difficulty > difficulty) {
+        difficulty = descriptor.difficulty;
         console.log(`Difficulty increased to ${difficulty}`);
     }
     
-    // Choose a tile type based on difficulty
-    const tileType = chooseTileType();
-    
     // Generate the tile based on its type
-    switch (tileType) {
+    switch (descriptor.type) {
         case TILE_TYPES.PLATFORM:
-            createPlatformTile();
+            createPlatformTile(descriptor);
             break;
         case TILE_TYPES.STAIRS:
-            createStairsTile();
+            createStairsTile(descriptor);
             break;
         case TILE_TYPES.MOVING:
-            createMovingTile();
+        case TILE_TYPES.SPINNING:
+        case TILE_TYPES.SEESAW:
+        case TILE_TYPES.ORBITING:
+        case TILE_TYPES.ELEVATOR:
+            createMovingTile(descriptor);
             break;
         case TILE_TYPES.CRUMBLING:
-            createCrumblingTile();
+            createCrumblingTile(descriptor);
             break;
         case TILE_TYPES.BOUNCE:
-            createBounceTile();
+            createBounceTile(descriptor);
+            break;
+        case TILE_TYPES.ICE:
+            createIceTile(descriptor);
+            break;
+        case TILE_TYPES.CONVEYOR:
+            createConveyorTile(descriptor);
+            break;
+        case TILE_TYPES.RAMP:
+            createRampTile(descriptor);
+            break;
+        case TILE_TYPES.CHECKPOINT:
+            createCheckpointTile(descriptor);
             break;
         default:
-            createPlatformTile();
+            createPlatformTile(descriptor);
+    }
+    
+    // Add the gadget leading up to this tile
+    if (descriptor.gadget) {
+        createGadget(descriptor);
+    }
+    
+    // Add the collectibles placed with this tile
+    if (descriptor.collectibles) {
+        descriptor.collectibles.forEach((collectible, slot) => createCollectible(descriptor.index, slot, collectible));
+    }
+    
+    // Add the hazard placed on this tile
+    if (descriptor.hazard && window.hazards) {
+        window.hazards.createHazard(descriptor);
+    }
+    
+    // Add the drone flying to or round this tile
+    if (descriptor.drone && window.drones) {
+        window.drones.createDrone(descriptor);
     }
     
     // Remove oldest tiles if we have too many
@@ -137,52 +288,53 @@ function generateNextTile() {
 }
 
 /**
- * Choose a tile type based on current difficulty
+ * Get the descriptor of the next tile to build
+ * @returns {Object|null} Tile descriptor, or null while waiting for the server
  */
-function chooseTileType() {
-    // Available tile types based on difficulty
-    const availableTypes = [TILE_TYPES.PLATFORM]; // Always available
+function getNextTileDescriptor() {
+    // Generate more layout locally if we own the tower
+    if (!isSharedTower && nextTileIndex >= towerLog.length) {
+        towerLog.push(towerGenerator.next());
+    }
     
-    // Add more tile types as difficulty increases
-    if (difficulty >= 2) availableTypes.push(TILE_TYPES.STAIRS);
-    if (difficulty >= 3) availableTypes.push(TILE_TYPES.MOVING);
-    if (difficulty >= 5) availableTypes.push(TILE_TYPES.CRUMBLING);
-    if (difficulty >= 7) availableTypes.push(TILE_TYPES.BOUNCE);
+    // Keep a buffer of shared tiles ahead of the player
+    if (isSharedTower && towerLog.length - nextTileIndex < TOWER_PREFETCH) {
+        requestSharedTiles();
+    }
     
-    // Don't repeat the same tile type twice in a row (except platforms)
-    let chosenType;
-    do {
-        chosenType = availableTypes[Math.floor(Math.random() * availableTypes.length)];
-    } while (chosenType === lastTileType && chosenType !== TILE_TYPES.PLATFORM);
+    if (nextTileIndex >= towerLog.length) {
+        return null;
+    }
     
-    // Remember this tile type
-    lastTileType = chosenType;
+    return towerLog[nextTileIndex++];
+}
+
+/**
+ * Ask the server for the next chunk of the shared tower
+ */
+function requestSharedTiles() {
+    if (awaitingTowerTiles || !window.network || !window.network.requestTowerTiles) {
+        return;
+    }
     
-    return chosenType;
+    awaitingTowerTiles = window.network.requestTowerTiles(towerLog.length);
 }
 
 /**
  * Create a basic platform tile
+ * @param {Object} descriptor - Tile layout from tower.js
  */
-function createPlatformTile() {
-    // Random position within bounds
-    const maxOffset = difficulty * 2; // Increases with difficulty
-    const x = (Math.random() * maxOffset * 2) - maxOffset;
-    const z = (Math.random() * maxOffset * 2) - maxOffset;
-    
-    // Random size (gets smaller with difficulty)
-    const sizeMultiplier = Math.max(0.5, 1 - (difficulty * 0.05));
-    const width = TILE_SIZE * sizeMultiplier * (0.8 + Math.random() * 0.4);
-    const depth = TILE_SIZE * sizeMultiplier * (0.8 + Math.random() * 0.4);
-    const height = 1;
+function createPlatformTile(descriptor) {
+    const { x, y, z, width, depth, height } = descriptor;
+    const rng = window.random.createRandom(descriptor.visualSeed);
     
     // Create the visual representation (Three.js)
     const geometry = new THREE.BoxGeometry(width, height, depth);
     
     // Create a more interesting material with random color variation
-    const hue = Math.random() * 0.1 + 0.6; // Blue-ish range
-    const saturation = 0.5 + Math.random() * 0.3;
-    const lightness = 0.4 + Math.random() * 0.3;
+    const hue = rng() * 0.1 + 0.6; // Blue-ish range
+    const saturation = 0.5 + rng() * 0.3;
+    const lightness = 0.4 + rng() * 0.3;
     const color = new THREE.Color().setHSL(hue, saturation, lightness);
     
     // Create texture-like pattern using vertex colors
@@ -194,9 +346,9 @@ function createPlatformTile() {
         // Add slight color variation to each vertex
         const variationFactor = 0.05;
         tempColor.copy(color).offsetHSL(
-            (Math.random() - 0.5) * variationFactor,
-            (Math.random() - 0.5) * variationFactor,
-            (Math.random() - 0.5) * variationFactor
+            (rng() - 0.5) * variationFactor,
+            (rng() - 0.5) * variationFactor,
+            (rng() - 0.5) * variationFactor
         );
         colors.push(tempColor.r, tempColor.g, tempColor.b);
     }
@@ -204,15 +356,17 @@ function createPlatformTile() {
     // Add colors to geometry
     geometry.setAttribute('color', new THREE.Float32BufferAttribute(colors, 3));
     
-    // Create material with vertex colors
+    // Create material with vertex colors (see-through when the platform can be jumped up through)
     const material = new THREE.MeshStandardMaterial({ 
         vertexColors: true,
         roughness: 0.7,
-        metalness: 0.2
+        metalness: 0.2,
+        transparent: Boolean(descriptor.oneWay),
+        opacity: descriptor.oneWay ? ONE_WAY_OPACITY : 1
     });
     
     const tileMesh = new THREE.Mesh(geometry, material);
-    tileMesh.position.set(x, currentHeight, z);
+    tileMesh.position.set(x, y, z);
     tileMesh.castShadow = true;
     tileMesh.receiveShadow = true;
     
@@ -232,74 +386,43 @@ function createPlatformTile() {
     const tileShape = new CANNON.Box(new CANNON.Vec3(width / 2, height / 2, depth / 2));
     const tileBody = new CANNON.Body({
         mass: 0, // Static body
-        position: new CANNON.Vec3(x, currentHeight, z),
+        position: new CANNON.Vec3(x, y, z),
         shape: tileShape,
-        material: new CANNON.Material({
-            friction: 0.5,
-            restitution: 0.3
-        })
+        material: window.physics.getMaterial('platform')
     });
+    tileBody.oneWay = Boolean(descriptor.oneWay); // Collisions from below are filtered out in physics.js
     window.physics.getWorld().addBody(tileBody);
     
     // Store the tile data
     tiles.push({
+        index: descriptor.index,
         mesh: tileMesh,
         body: tileBody,
-        position: { x, y: currentHeight, z },
+        position: { x, y, z },
         type: TILE_TYPES.PLATFORM,
-        properties: { width, depth, height }
+        properties: { width, depth, height, oneWay: tileBody.oneWay }
     });
     
-    console.log(`Platform tile created at height ${currentHeight}`);
+    console.log(`Platform tile created at height ${y}`);
 }
 
 /**
  * Create a stairs tile
+ * @param {Object} descriptor - Tile layout from tower.js
  */
-function createStairsTile() {
-    // Random position within bounds
-    const maxOffset = difficulty;
-    const baseX = (Math.random() * maxOffset * 2) - maxOffset;
-    const baseZ = (Math.random() * maxOffset * 2) - maxOffset;
-    
-    // Number of steps
-    const numSteps = 3 + Math.floor(Math.random() * 3); // 3-5 steps
-    
-    // Step dimensions
-    const stepWidth = TILE_SIZE * 0.8;
-    const stepDepth = TILE_SIZE * 0.3;
-    const stepHeight = TILE_HEIGHT_SPACING / numSteps;
-    
-    // Random direction for stairs
-    const direction = Math.random() < 0.5 ? 'x' : 'z';
-    const directionSign = Math.random() < 0.5 ? 1 : -1;
-    
-    // Create a group for all steps
-    const stairsGroup = new THREE.Group();
-    window.gameScene.getScene().add(stairsGroup);
+function createStairsTile(descriptor) {
+    const rng = window.random.createRandom(descriptor.visualSeed);
     
     // Base color for stairs with some randomness
-    const hue = 0.05 + Math.random() * 0.05; // Brown-ish
-    const saturation = 0.6 + Math.random() * 0.2;
-    const lightness = 0.3 + Math.random() * 0.2;
+    const hue = 0.05 + rng() * 0.05; // Brown-ish
+    const saturation = 0.6 + rng() * 0.2;
+    const lightness = 0.3 + rng() * 0.2;
     const baseColor = new THREE.Color().setHSL(hue, saturation, lightness);
     
     // Create each step
-    for (let i = 0; i < numSteps; i++) {
-        // Calculate position for this step
-        const stepY = currentHeight - TILE_HEIGHT_SPACING + (i + 0.5) * stepHeight;
-        let stepX = baseX;
-        let stepZ = baseZ;
-        
-        // Adjust position based on direction
-        if (direction === 'x') {
-            stepX += directionSign * i * stepDepth;
-        } else {
-            stepZ += directionSign * i * stepDepth;
-        }
-        
+    descriptor.steps.forEach((step, i) => {
         // Create step mesh with slightly varied color
-        const geometry = new THREE.BoxGeometry(stepWidth, stepHeight, stepDepth);
+        const geometry = new THREE.BoxGeometry(step.width, step.height, step.depth);
         
         // Vary color slightly for each step
         const stepColor = baseColor.clone().offsetHSL(0, 0, i * 0.03);
@@ -310,10 +433,9 @@ function createStairsTile() {
         });
         
         const stepMesh = new THREE.Mesh(geometry, material);
-        stepMesh.position.set(stepX, stepY, stepZ);
+        stepMesh.position.set(step.x, step.y, step.z);
         stepMesh.castShadow = true;
         stepMesh.receiveShadow = true;
-        stairsGroup.add(stepMesh);
         
         // Add subtle edge highlight
         const edgeGeometry = new THREE.EdgesGeometry(geometry);
@@ -325,204 +447,483 @@ function createStairsTile() {
         const edges = new THREE.LineSegments(edgeGeometry, edgeMaterial);
         stepMesh.add(edges);
         
+        // Add steps straight to the scene so each one can be removed on its own
+        window.gameScene.getScene().add(stepMesh);
+        
         // Create physics body for this step
-        const stepShape = new CANNON.Box(new CANNON.Vec3(stepWidth / 2, stepHeight / 2, stepDepth / 2));
+        const stepShape = new CANNON.Box(new CANNON.Vec3(step.width / 2, step.height / 2, step.depth / 2));
         const stepBody = new CANNON.Body({
             mass: 0,
-            position: new CANNON.Vec3(stepX, stepY, stepZ),
+            position: new CANNON.Vec3(step.x, step.y, step.z),
             shape: stepShape,
-            material: new CANNON.Material({
-                friction: 0.7, // Higher friction for stairs
-                restitution: 0.2
-            })
+            material: window.physics.getMaterial('stairs') // Higher friction for stairs
         });
         window.physics.getWorld().addBody(stepBody);
         
         // Store the step data
         tiles.push({
+            index: descriptor.index,
             mesh: stepMesh,
             body: stepBody,
-            position: { x: stepX, y: stepY, z: stepZ },
+            position: { x: step.x, y: step.y, z: step.z },
             type: TILE_TYPES.STAIRS,
-            properties: { width: stepWidth, depth: stepDepth, height: stepHeight }
+            properties: { width: step.width, depth: step.depth, height: step.height }
         });
-    }
+    });
     
-    console.log(`Stairs tile created at height ${currentHeight} with ${numSteps} steps`);
+    console.log(`Stairs tile created at height ${descriptor.y} with ${descriptor.steps.length} steps`);
 }
 
 /**
- * Create a moving tile
+ * Create a moving tile: one that slides, spins, rocks like a see-saw or orbits a pivot
+ * @param {Object} descriptor - Tile layout from tower.js
  */
-function createMovingTile() {
-    // Random position within bounds
-    const maxOffset = difficulty;
-    const x = (Math.random() * maxOffset * 2) - maxOffset;
-    const z = (Math.random() * maxOffset * 2) - maxOffset;
-    
-    // Tile dimensions
-    const width = TILE_SIZE * 0.8;
-    const depth = TILE_SIZE * 0.8;
-    const height = 1;
+function createMovingTile(descriptor) {
+    const { x, y, z, width, depth, height } = descriptor;
     
     // Create the visual representation
     const geometry = new THREE.BoxGeometry(width, height, depth);
-    const material = new THREE.MeshLambertMaterial({ color: 0x4682B4 }); // Steel blue
+    const material = new THREE.MeshLambertMaterial({ color: MOVING_TILE_COLORS[descriptor.type] });
     const tileMesh = new THREE.Mesh(geometry, material);
-    tileMesh.position.set(x, currentHeight, z);
+    tileMesh.position.set(x, y, z);
     window.gameScene.getScene().add(tileMesh);
     
     // Create the physics body
     const tileShape = new CANNON.Box(new CANNON.Vec3(width / 2, height / 2, depth / 2));
     const tileBody = new CANNON.Body({
         mass: 0,
-        position: new CANNON.Vec3(x, currentHeight, z),
+        type: CANNON.Body.KINEMATIC, // Moved by its velocity, so it carries what stands on it
+        position: new CANNON.Vec3(x, y, z),
         shape: tileShape,
-        material: new CANNON.Material({
-            friction: 0.5,
-            restitution: 0.3
-        })
+        material: window.physics.getMaterial('platform')
     });
     window.physics.getWorld().addBody(tileBody);
     
-    // Movement properties
-    const moveDirection = Math.random() < 0.5 ? 'x' : 'z';
-    const moveDistance = TILE_SIZE * (1 + Math.random());
-    const moveSpeed = 0.05 * (1 + difficulty * 0.1);
-    
     // Store the tile data
     const tileData = {
+        index: descriptor.index,
         mesh: tileMesh,
         body: tileBody,
-        position: { x, y: currentHeight, z },
-        type: TILE_TYPES.MOVING,
+        position: { x, y, z },
+        type: descriptor.type,
         properties: {
             width,
             depth,
             height,
-            moveDirection,
-            moveDistance,
-            moveSpeed,
-            startPosition: { x, y: currentHeight, z },
-            movePhase: Math.random() * Math.PI * 2 // Random starting phase
+            startPosition: { x, y, z },
+            // Sliding
+            moveDirection: descriptor.moveDirection,
+            moveDistance: descriptor.moveDistance,
+            moveSpeed: descriptor.moveSpeed,
+            movePhase: descriptor.movePhase,
+            // Spinning
+            spinSpeed: descriptor.spinSpeed,
+            spinPhase: descriptor.spinPhase,
+            // See-saw
+            tiltAxis: descriptor.tiltAxis,
+            tiltAngle: descriptor.tiltAngle,
+            tiltSpeed: descriptor.tiltSpeed,
+            tiltPhase: descriptor.tiltPhase,
+            // Orbiting (startPosition is the pivot)
+            orbitRadius: descriptor.orbitRadius,
+            orbitSpeed: descriptor.orbitSpeed,
+            orbitPhase: descriptor.orbitPhase,
+            // Elevator (startPosition is the top stop)
+            elevatorLift: descriptor.elevatorLift,
+            elevatorTravelTime: descriptor.elevatorTravelTime,
+            elevatorPauseTime: descriptor.elevatorPauseTime,
+            elevatorPhase: descriptor.elevatorPhase
         }
     };
     
     tiles.push(tileData);
     movingTiles.push(tileData);
     
-    console.log(`Moving tile created at height ${currentHeight}`);
+    console.log(`${descriptor.type} tile created at height ${y}`);
 }
 
 /**
  * Create a crumbling tile
+ * @param {Object} descriptor - Tile layout from tower.js
  */
-function createCrumblingTile() {
-    // Random position within bounds
-    const maxOffset = difficulty;
-    const x = (Math.random() * maxOffset * 2) - maxOffset;
-    const z = (Math.random() * maxOffset * 2) - maxOffset;
-    
-    // Tile dimensions
-    const width = TILE_SIZE * 0.9;
-    const depth = TILE_SIZE * 0.9;
-    const height = 1;
+function createCrumblingTile(descriptor) {
+    const { x, y, z, width, depth, height } = descriptor;
     
     // Create the visual representation
     const geometry = new THREE.BoxGeometry(width, height, depth);
     const material = new THREE.MeshLambertMaterial({ color: 0xCD5C5C }); // Indian red
     const tileMesh = new THREE.Mesh(geometry, material);
-    tileMesh.position.set(x, currentHeight, z);
+    tileMesh.position.set(x, y, z);
     window.gameScene.getScene().add(tileMesh);
     
     // Create the physics body
     const tileShape = new CANNON.Box(new CANNON.Vec3(width / 2, height / 2, depth / 2));
     const tileBody = new CANNON.Body({
         mass: 0,
-        position: new CANNON.Vec3(x, currentHeight, z),
+        position: new CANNON.Vec3(x, y, z),
         shape: tileShape,
-        material: new CANNON.Material({
-            friction: 0.5,
-            restitution: 0.3
-        })
+        material: window.physics.getMaterial('platform')
     });
     window.physics.getWorld().addBody(tileBody);
     
     // Store the tile data
     tiles.push({
+        index: descriptor.index,
         mesh: tileMesh,
         body: tileBody,
-        position: { x, y: currentHeight, z },
+        position: { x, y, z },
         type: TILE_TYPES.CRUMBLING,
         properties: {
             width,
             depth,
             height,
-            crumbleDelay: 500, // ms before crumbling starts
-            crumbleDuration: 1000, // ms to complete crumbling
+            crumbleDelay: descriptor.crumbleDelay, // ms before crumbling starts
+            crumbleDuration: descriptor.crumbleDuration, // ms to complete crumbling
+            respawnDelay: descriptor.respawnDelay, // ms gone before it's rebuilt
             isCrumbling: false,
-            crumbleStartTime: 0
+            isGone: false,
+            crumbledAt: 0 // Tower time (s) it was stepped on
         }
     });
     
-    console.log(`Crumbling tile created at height ${currentHeight}`);
+    // Already crumbling in a shared tower: pick up where the others see it
+    if (crumbledTiles.has(descriptor.index)) {
+        startCrumbling(tiles[tiles.length - 1], crumbledTiles.get(descriptor.index));
+    }
+    
+    console.log(`Crumbling tile created at height ${y}`);
 }
 
 /**
  * Create a bounce tile
+ * @param {Object} descriptor - Tile layout from tower.js
  */
-function createBounceTile() {
-    // Random position within bounds
-    const maxOffset = difficulty;
-    const x = (Math.random() * maxOffset * 2) - maxOffset;
-    const z = (Math.random() * maxOffset * 2) - maxOffset;
-    
-    // Tile dimensions
-    const width = TILE_SIZE * 0.8;
-    const depth = TILE_SIZE * 0.8;
-    const height = 1;
+function createBounceTile(descriptor) {
+    const { x, y, z, width, depth, height } = descriptor;
     
     // Create the visual representation
     const geometry = new THREE.BoxGeometry(width, height, depth);
     const material = new THREE.MeshLambertMaterial({ color: 0x32CD32 }); // Lime green
     const tileMesh = new THREE.Mesh(geometry, material);
-    tileMesh.position.set(x, currentHeight, z);
+    tileMesh.position.set(x, y, z);
     window.gameScene.getScene().add(tileMesh);
     
     // Create the physics body
     const tileShape = new CANNON.Box(new CANNON.Vec3(width / 2, height / 2, depth / 2));
     const tileBody = new CANNON.Body({
         mass: 0,
-        position: new CANNON.Vec3(x, currentHeight, z),
+        position: new CANNON.Vec3(x, y, z),
         shape: tileShape,
-        material: new CANNON.Material({
-            friction: 0.5,
-            restitution: 1.5 // High restitution for bouncing
-        })
+        material: window.physics.getMaterial('rubber') // Bouncy surface
     });
     window.physics.getWorld().addBody(tileBody);
     
     // Store the tile data
     tiles.push({
+        index: descriptor.index,
         mesh: tileMesh,
         body: tileBody,
-        position: { x, y: currentHeight, z },
+        position: { x, y, z },
         type: TILE_TYPES.BOUNCE,
         properties: { width, depth, height }
     });
     
-    console.log(`Bounce tile created at height ${currentHeight}`);
+    console.log(`Bounce tile created at height ${y}`);
+}
+
+/**
+ * Create an ice tile, where the player keeps their momentum
+ * @param {Object} descriptor - Tile layout from tower.js
+ */
+function createIceTile(descriptor) {
+    const { x, y, z, width, depth, height } = descriptor;
+    
+    // Create the visual representation (glossy and slightly see-through)
+    const geometry = new THREE.BoxGeometry(width, height, depth);
+    const material = new THREE.MeshStandardMaterial({
+        color: 0xB0E0E6, // Powder blue
+        roughness: 0.1,
+        metalness: 0.3,
+        transparent: true,
+        opacity: 0.85
+    });
+    const tileMesh = new THREE.Mesh(geometry, material);
+    tileMesh.position.set(x, y, z);
+    tileMesh.receiveShadow = true;
+    
+    // Bright edges so the slippery surface is easy to spot
+    const edgeGeometry = new THREE.EdgesGeometry(geometry);
+    const edgeMaterial = new THREE.LineBasicMaterial({
+        color: 0xffffff,
+        transparent: true,
+        opacity: 0.6
+    });
+    tileMesh.add(new THREE.LineSegments(edgeGeometry, edgeMaterial));
+    
+    window.gameScene.getScene().add(tileMesh);
+    
+    // Create the physics body
+    const tileShape = new CANNON.Box(new CANNON.Vec3(width / 2, height / 2, depth / 2));
+    const tileBody = new CANNON.Body({
+        mass: 0,
+        position: new CANNON.Vec3(x, y, z),
+        shape: tileShape,
+        material: window.physics.getMaterial('ice') // No friction
+    });
+    window.physics.getWorld().addBody(tileBody);
+    
+    // Store the tile data
+    tiles.push({
+        index: descriptor.index,
+        mesh: tileMesh,
+        body: tileBody,
+        position: { x, y, z },
+        type: TILE_TYPES.ICE,
+        properties: { width, depth, height }
+    });
+    
+    console.log(`Ice tile created at height ${y}`);
+}
+
+/**
+ * Create a ramp tile, a slab tilted so it climbs rampRise over its footprint
+ * @param {Object} descriptor - Tile layout from tower.js
+ */
+function createRampTile(descriptor) {
+    const { x, y, z, width, depth, height, rampDirection, rampRise } = descriptor;
+    
+    // Tilt the slab up along its direction: the footprint is horizontal, the slab runs along the slope
+    const alongX = rampDirection.x !== 0;
+    const run = alongX ? width : depth;
+    const slopeLength = Math.sqrt(run * run + rampRise * rampRise);
+    const slopeAngle = Math.atan2(rampRise, run);
+    const slabWidth = alongX ? slopeLength : width;
+    const slabDepth = alongX ? depth : slopeLength;
+    
+    // Turning around this horizontal axis (uphill direction × up) raises the uphill end
+    const tiltAxis = new CANNON.Vec3(-rampDirection.z, 0, rampDirection.x);
+    const tilt = new CANNON.Quaternion();
+    tilt.setFromAxisAngle(tiltAxis, slopeAngle);
+    
+    // Create the visual representation
+    const geometry = new THREE.BoxGeometry(slabWidth, height, slabDepth);
+    const material = new THREE.MeshStandardMaterial({
+        color: 0xD2B48C, // Tan
+        roughness: 0.8,
+        metalness: 0.1
+    });
+    const tileMesh = new THREE.Mesh(geometry, material);
+    tileMesh.position.set(x, y, z);
+    tileMesh.quaternion.set(tilt.x, tilt.y, tilt.z, tilt.w);
+    tileMesh.castShadow = true;
+    tileMesh.receiveShadow = true;
+    
+    // Edges so the lip stands out
+    const edgeGeometry = new THREE.EdgesGeometry(geometry);
+    const edgeMaterial = new THREE.LineBasicMaterial({
+        color: 0xffffff,
+        transparent: true,
+        opacity: 0.4
+    });
+    tileMesh.add(new THREE.LineSegments(edgeGeometry, edgeMaterial));
+    
+    window.gameScene.getScene().add(tileMesh);
+    
+    // Create the physics body
+    const tileShape = new CANNON.Box(new CANNON.Vec3(slabWidth / 2, height / 2, slabDepth / 2));
+    const tileBody = new CANNON.Body({
+        mass: 0,
+        position: new CANNON.Vec3(x, y, z),
+        quaternion: tilt,
+        shape: tileShape,
+        material: window.physics.getMaterial('platform')
+    });
+    window.physics.getWorld().addBody(tileBody);
+    
+    // Store the tile data
+    tiles.push({
+        index: descriptor.index,
+        mesh: tileMesh,
+        body: tileBody,
+        position: { x, y, z },
+        type: TILE_TYPES.RAMP,
+        properties: { width, depth, height, rampDirection, rampRise, slopeAngle }
+    });
+    
+    console.log(`Ramp tile created at height ${y}`);
+}
+
+/**
+ * Create a conveyor tile, a belt that carries anything standing on it
+ * @param {Object} descriptor - Tile layout from tower.js
+ */
+function createConveyorTile(descriptor) {
+    const { x, y, z, width, depth, height, conveyorDirection, conveyorSpeed } = descriptor;
+    
+    // Create the visual representation: a dark frame...
+    const geometry = new THREE.BoxGeometry(width, height, depth);
+    const material = new THREE.MeshLambertMaterial({ color: 0x2F4F4F }); // Dark slate gray
+    const tileMesh = new THREE.Mesh(geometry, material);
+    tileMesh.position.set(x, y, z);
+    tileMesh.receiveShadow = true;
+    
+    // ...with a belt on top whose arrows scroll the way it moves
+    const length = conveyorDirection.x !== 0 ? width : depth;
+    const beltWidth = conveyorDirection.x !== 0 ? depth : width;
+    const beltTexture = new THREE.CanvasTexture(getConveyorCanvas());
+    beltTexture.wrapS = THREE.RepeatWrapping;
+    beltTexture.repeat.set(length / CONVEYOR_STRIPE_LENGTH, 1);
+    
+    const beltMesh = new THREE.Mesh(
+        new THREE.PlaneGeometry(length * 0.95, beltWidth * 0.8),
+        new THREE.MeshLambertMaterial({ map: beltTexture })
+    );
+    beltMesh.position.y = height / 2 + 0.01; // Just above the frame to avoid z-fighting
+    beltMesh.rotation.x = -Math.PI / 2; // Lie flat
+    beltMesh.rotation.z = Math.atan2(-conveyorDirection.z, conveyorDirection.x); // Arrows point along the belt
+    tileMesh.add(beltMesh);
+    
+    window.gameScene.getScene().add(tileMesh);
+    
+    // Create the physics body
+    const tileShape = new CANNON.Box(new CANNON.Vec3(width / 2, height / 2, depth / 2));
+    const tileBody = new CANNON.Body({
+        mass: 0,
+        position: new CANNON.Vec3(x, y, z),
+        shape: tileShape,
+        material: window.physics.getMaterial('platform')
+    });
+    window.physics.getWorld().addBody(tileBody);
+    
+    // Store the tile data
+    const tileData = {
+        index: descriptor.index,
+        mesh: tileMesh,
+        body: tileBody,
+        position: { x, y, z },
+        type: TILE_TYPES.CONVEYOR,
+        properties: {
+            width,
+            depth,
+            height,
+            conveyorDirection,
+            conveyorSpeed,
+            beltTexture
+        }
+    };
+    
+    tiles.push(tileData);
+    conveyorTiles.push(tileData);
+    
+    console.log(`Conveyor tile created at height ${y}`);
+}
+
+/**
+ * Get the arrow pattern drawn on conveyor belts (one arrow pointing along +u)
+ * @returns {HTMLCanvasElement} Canvas shared by every belt texture
+ */
+function getConveyorCanvas() {
+    if (conveyorCanvas) {
+        return conveyorCanvas;
+    }
+    
+    conveyorCanvas = document.createElement('canvas');
+    conveyorCanvas.width = 128;
+    conveyorCanvas.height = 128;
+    const context = conveyorCanvas.getContext('2d');
+    
+    // Rubber belt
+    context.fillStyle = '#333333';
+    context.fillRect(0, 0, 128, 128);
+    
+    // Chevron pointing right
+    context.fillStyle = '#FFD700'; // Gold
+    context.beginPath();
+    context.moveTo(32, 16);
+    context.lineTo(96, 64);
+    context.lineTo(32, 112);
+    context.lineTo(32, 84);
+    context.lineTo(60, 64);
+    context.lineTo(32, 44);
+    context.closePath();
+    context.fill();
+    
+    return conveyorCanvas;
+}
+
+/**
+ * Create a checkpoint tile, with a flag that turns gold once the player reaches it
+ * @param {Object} descriptor - Tile layout from tower.js
+ */
+function createCheckpointTile(descriptor) {
+    const { x, y, z, width, depth, height } = descriptor;
+    
+    // Create the visual representation
+    const geometry = new THREE.BoxGeometry(width, height, depth);
+    const material = new THREE.MeshLambertMaterial({ color: 0xF5F5DC }); // Beige
+    const tileMesh = new THREE.Mesh(geometry, material);
+    tileMesh.position.set(x, y, z);
+    tileMesh.receiveShadow = true;
+    
+    // A flag in one corner (visual only, out of the way of gadgets in the middle)
+    const pole = new THREE.Mesh(
+        new THREE.CylinderGeometry(0.08, 0.08, CHECKPOINT_POLE_HEIGHT, 6),
+        new THREE.MeshLambertMaterial({ color: 0x8B4513 }) // Saddle brown
+    );
+    pole.position.set(width / 2 - 0.5, height / 2 + CHECKPOINT_POLE_HEIGHT / 2, depth / 2 - 0.5);
+    tileMesh.add(pole);
+    
+    const flag = new THREE.Mesh(
+        new THREE.BoxGeometry(1.2, 0.7, 0.05),
+        new THREE.MeshLambertMaterial({ color: CHECKPOINT_FLAG_COLOR })
+    );
+    flag.position.set(width / 2 - 1.1, height / 2 + CHECKPOINT_POLE_HEIGHT - 0.35, depth / 2 - 0.5);
+    tileMesh.add(flag);
+    
+    window.gameScene.getScene().add(tileMesh);
+    
+    // Create the physics body
+    const tileShape = new CANNON.Box(new CANNON.Vec3(width / 2, height / 2, depth / 2));
+    const tileBody = new CANNON.Body({
+        mass: 0,
+        position: new CANNON.Vec3(x, y, z),
+        shape: tileShape,
+        material: window.physics.getMaterial('platform')
+    });
+    window.physics.getWorld().addBody(tileBody);
+    
+    // Store the tile data
+    tiles.push({
+        index: descriptor.index,
+        mesh: tileMesh,
+        body: tileBody,
+        position: { x, y, z },
+        type: TILE_TYPES.CHECKPOINT,
+        properties: {
+            width,
+            depth,
+            height,
+            flag,
+            reached: false
+        }
+    });
+    
+    console.log(`Checkpoint tile created at height ${y}`);
 }
 
 /**
  * Remove the oldest (lowest) tile
  */
 function removeOldestTile() {
-    // Find the lowest tile
+    // Find the lowest tile (keeping the checkpoint the player would respawn on)
     let lowestTileIndex = 0;
     let lowestY = Infinity;
     
     tiles.forEach((tile, index) => {
+        if (activeCheckpoint && tile.index === activeCheckpoint.index) {
+            return;
+        }
+        
         if (tile.position.y < lowestY) {
             lowestY = tile.position.y;
             lowestTileIndex = index;
@@ -531,23 +932,75 @@ function removeOldestTile() {
     
     // Remove the lowest tile
     if (lowestTileIndex >= 0) {
-        const tileToRemove = tiles[lowestTileIndex];
-        
-        // Remove from scene and physics world
-        window.gameScene.getScene().remove(tileToRemove.mesh);
-        window.physics.getWorld().removeBody(tileToRemove.body);
-        
-        // If it's a moving tile, remove from movingTiles array
-        if (tileToRemove.type === TILE_TYPES.MOVING) {
-            const movingIndex = movingTiles.findIndex(t => t === tileToRemove);
-            if (movingIndex >= 0) {
-                movingTiles.splice(movingIndex, 1);
-            }
+        removeTile(tiles[lowestTileIndex]);
+    }
+}
+
+/**
+ * Remove a tile, with the gadgets, collectibles, hazards and drones that go with it
+ * (tiles are removed from the bottom up, so whatever leads up from the tile before goes too)
+ * @param {Object} tileToRemove - Tile to remove
+ */
+function removeTile(tileToRemove) {
+    // Remove from scene and physics world
+    window.gameScene.getScene().remove(tileToRemove.mesh);
+    window.physics.getWorld().removeBody(tileToRemove.body);
+    
+    // If it's a moving tile, remove from movingTiles array
+    const movingIndex = movingTiles.indexOf(tileToRemove);
+    if (movingIndex >= 0) {
+        movingTiles.splice(movingIndex, 1);
+    }
+    
+    // Same for conveyor tiles
+    if (tileToRemove.type === TILE_TYPES.CONVEYOR) {
+        const conveyorIndex = conveyorTiles.findIndex(t => t === tileToRemove);
+        if (conveyorIndex >= 0) {
+            conveyorTiles.splice(conveyorIndex, 1);
         }
-        
-        // Remove from tiles array
-        tiles.splice(lowestTileIndex, 1);
     }
+    
+    // Gadgets go with the tiles they join (a gadget sits on the tile before its own)
+    removeGadgets(gadget => gadget.index <= tileToRemove.index + 1);
+    
+    // So do collectibles (coins lead up from the tile before their own)
+    removeCollectibles(collectible => collectible.index <= tileToRemove.index + 1);
+    
+    // Hazards only cover their own tile
+    if (window.hazards) {
+        window.hazards.removeHazards(hazard => hazard.index <= tileToRemove.index);
+    }
+    
+    // A patrolling drone flies from the tile before its own
+    if (window.drones) {
+        window.drones.removeDrones(drone => drone.index <= tileToRemove.index + 1);
+    }
+    
+    // A checkpoint that's gone can't be respawned on
+    if (activeCheckpoint && tileToRemove.index === activeCheckpoint.index) {
+        activeCheckpoint = null;
+    }
+    
+    // Remove from tiles array
+    tiles.splice(tiles.indexOf(tileToRemove), 1);
+}
+
+/**
+ * Remove every tile that's entirely below a height (under a rising flood)
+ * @param {number} height - Height (m) the tiles' tops must be below
+ */
+function cullTilesBelow(height) {
+    tiles.filter(tile => {
+        // A crumbled tile has no body in the world to measure
+        if (tile.properties.isGone) {
+            return false;
+        }
+        
+        if (tile.body.aabbNeedsUpdate) {
+            tile.body.computeAABB();
+        }
+        return tile.body.aabb.upperBound.y < height;
+    }).forEach(removeTile);
 }
 
 /**
@@ -563,13 +1016,32 @@ function clearTiles() {
     // Clear the arrays
     tiles.length = 0;
     movingTiles.length = 0;
+    conveyorTiles.length = 0;
+    conveyorRiders.clear();
+    removeGadgets(() => true);
+    launchedBodies.clear();
+    removeCollectibles(() => true);
+    if (window.hazards) {
+        window.hazards.removeHazards(() => true);
+    }
+    if (window.drones) {
+        window.drones.removeDrones(() => true);
+    }
+    activeCheckpoint = null;
 }
 
 /**
  * Reset tiles to initial state
+ * @param {number|string} [seed] - Tower seed, defaults to the current tower's seed
  */
-function resetTiles() {
-    initTiles();
+function resetTiles(seed) {
+    // A shared tower is rebuilt from the layout the server sent
+    if (seed === undefined && isSharedTower) {
+        buildTower();
+        return;
+    }
+    
+    initTiles(seed === undefined ? towerSeed : seed);
 }
 
 /**
@@ -579,7 +1051,25 @@ function updateTiles() {
     // Update moving tiles
     updateMovingTiles();
     
+    // Carry bodies along conveyor belts
+    updateConveyorTiles();
+    
+    // Launch pads and zip lines
+    updateGadgets();
+    
+    // Checkpoints the player reaches
+    updateCheckpoints();
+    
+    // Collectibles picked up on the last step
+    updateCollectibles();
+    
+    // Wind, lasers and falling debris
+    if (window.hazards) {
+        window.hazards.updateHazards();
+    }
+    
     // Update crumbling tiles
+    checkTileCollision();
     updateCrumblingTiles();
     
     // Check if we need to generate more tiles
@@ -587,46 +1077,684 @@ function updateTiles() {
 }
 
 /**
- * Update moving tiles
+ * Get the time on the tower clock, shared by every player on a server tower
+ * @returns {number} Seconds since the tower was created
+ */
+function getTowerTime() {
+    return towerClockBase + (window.physics.getSimulationTime() - towerClockSetAt) / 1000;
+}
+
+/**
+ * Set the tower clock; it then advances with the simulation ticks
+ * @param {number} seconds - Tower time to continue from
+ */
+function setTowerTime(seconds) {
+    towerClockBase = seconds;
+    towerClockSetAt = window.physics.getSimulationTime();
+}
+
+/**
+ * Get the state of the tower clock
+ * @returns {Object} { base, setAt } for setTowerClock()
+ */
+function getTowerClock() {
+    return {
+        base: towerClockBase,
+        setAt: towerClockSetAt
+    };
+}
+
+/**
+ * Put the tower clock back into a state from getTowerClock()
+ * @param {Object} clock - Tower clock state
+ */
+function setTowerClock(clock) {
+    towerClockBase = clock.base;
+    towerClockSetAt = clock.setAt;
+}
+
+/**
+ * Take a copy of the current tower so it can be put back later
+ * @returns {Object} Saved tower for restoreTower()
+ */
+function saveTower() {
+    return {
+        seed: towerSeed,
+        shared: isSharedTower,
+        tiles: towerLog.slice(),
+        time: getTowerTime(),
+        savedAt: window.physics.getSimulationTime(),
+        crumbled: Array.from(crumbledTiles, ([index, at]) => ({ index, at }))
+    };
+}
+
+/**
+ * Rebuild a tower saved with saveTower()
+ * @param {Object} saved - Saved tower
+ */
+function restoreTower(saved) {
+    if (!saved.shared) {
+        initTiles(saved.seed);
+        return;
+    }
+    
+    // Same shape as the server's tower message
+    loadSharedTower({
+        seed: saved.seed,
+        epoch: 0,
+        serverTime: 0,
+        tiles: saved.tiles,
+        crumbled: saved.crumbled
+    });
+    
+    // Carry the tower clock on from where it was saved
+    setTowerTime(saved.time + (window.physics.getSimulationTime() - saved.savedAt) / 1000);
+}
+
+/**
+ * Update moving tiles (driven by the tower clock, so every player sees them in the same place)
+ *
+ * Each tile is put where the clock says it is now and given the velocity it moves at, so the
+ * physics step carries it on to its next pose and anything standing on it moves with it.
  */
 function updateMovingTiles() {
-    const time = performance.now() / 1000; // Current time in seconds
+    const time = getTowerTime(); // Current tower time in seconds
+    
+    movingTiles.forEach(tile => {
+        const { startPosition } = tile.properties;
+        const body = tile.body;
+        
+        switch (tile.type) {
+            case TILE_TYPES.SPINNING: {
+                // Turn around the tile's own vertical axis
+                const { spinSpeed, spinPhase } = tile.properties;
+                body.quaternion.setFromAxisAngle(TILE_AXES.y, time * spinSpeed + spinPhase);
+                body.angularVelocity.set(0, spinSpeed, 0);
+                break;
+            }
+            case TILE_TYPES.SEESAW: {
+                // Rock back and forth around a horizontal axis through the middle
+                const { tiltAxis, tiltAngle, tiltSpeed, tiltPhase } = tile.properties;
+                const phase = time * tiltSpeed + tiltPhase;
+                body.quaternion.setFromAxisAngle(TILE_AXES[tiltAxis], Math.sin(phase) * tiltAngle);
+                TILE_AXES[tiltAxis].scale(Math.cos(phase) * tiltAngle * tiltSpeed, body.angularVelocity);
+                break;
+            }
+            case TILE_TYPES.ORBITING: {
+                // Circle the pivot, keeping the same side facing out
+                const { orbitRadius, orbitSpeed, orbitPhase } = tile.properties;
+                const angle = time * orbitSpeed + orbitPhase;
+                body.position.x = startPosition.x + Math.cos(angle) * orbitRadius;
+                body.position.z = startPosition.z + Math.sin(angle) * orbitRadius;
+                body.velocity.set(-Math.sin(angle) * orbitRadius * orbitSpeed, 0, Math.cos(angle) * orbitRadius * orbitSpeed);
+                body.quaternion.setFromAxisAngle(TILE_AXES.y, -angle);
+                body.angularVelocity.set(0, -orbitSpeed, 0);
+                break;
+            }
+            case TILE_TYPES.ELEVATOR: {
+                // Ride between the bottom and top stops, easing in and out so riders aren't jolted
+                const { elevatorLift, elevatorTravelTime, elevatorPauseTime, elevatorPhase } = tile.properties;
+                const lift = getElevatorLift(time, elevatorTravelTime, elevatorPauseTime, elevatorPhase);
+                body.position.y = startPosition.y - elevatorLift + lift.progress * elevatorLift;
+                body.velocity.set(0, lift.rate * elevatorLift, 0);
+                break;
+            }
+            default: {
+                const { moveDirection, moveDistance, moveSpeed, movePhase } = tile.properties;
+                
+                // Calculate new position and velocity using sine wave
+                const phase = time * moveSpeed + movePhase;
+                const offset = Math.sin(phase) * moveDistance;
+                const speed = Math.cos(phase) * moveDistance * moveSpeed;
+                
+                // Update position based on direction
+                if (moveDirection === 'x') {
+                    body.position.x = startPosition.x + offset;
+                    body.velocity.set(speed, 0, 0);
+                } else {
+                    body.position.z = startPosition.z + offset;
+                    body.velocity.set(0, 0, speed);
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Get how far up an elevator is: waiting at the bottom, riding up, waiting at the top, riding down
+ * @param {number} time - Tower time in seconds
+ * @param {number} travelTime - Seconds to ride from one stop to the other
+ * @param {number} pauseTime - Seconds spent waiting at each stop
+ * @param {number} phase - Starting point in the cycle (fraction of a cycle)
+ * @returns {Object} { progress, rate } fraction of the lift from the bottom (0-1) and its rate of change per second
+ */
+function getElevatorLift(time, travelTime, pauseTime, phase) {
+    const cycleTime = 2 * (travelTime + pauseTime);
+    const cycleFraction = ((time / cycleTime + phase) % 1 + 1) % 1;
+    const cycleTimeElapsed = cycleFraction * cycleTime;
+    
+    if (cycleTimeElapsed < pauseTime) {
+        return { progress: 0, rate: 0 };
+    }
+    if (cycleTimeElapsed < pauseTime + travelTime) {
+        const ride = (cycleTimeElapsed - pauseTime) / travelTime;
+        return {
+            progress: (1 - Math.cos(Math.PI * ride)) / 2,
+            rate: Math.PI * Math.sin(Math.PI * ride) / (2 * travelTime)
+        };
+    }
+    if (cycleTimeElapsed < 2 * pauseTime + travelTime) {
+        return { progress: 1, rate: 0 };
+    }
     
+    const ride = (cycleTimeElapsed - 2 * pauseTime - travelTime) / travelTime;
+    return {
+        progress: (1 + Math.cos(Math.PI * ride)) / 2,
+        rate: -Math.PI * Math.sin(Math.PI * ride) / (2 * travelTime)
+    };
+}
+
+/**
+ * Move the meshes of moving tiles to where the physics step left their bodies
+ */
+function syncMovingTiles() {
     movingTiles.forEach(tile => {
-        const { moveDirection, moveDistance, moveSpeed, startPosition, movePhase } = tile.properties;
+        tile.mesh.position.copy(tile.body.position);
+        tile.mesh.quaternion.copy(tile.body.quaternion);
+    });
+}
+
+/**
+ * Scroll the conveyor belts and carry every dynamic body standing on one
+ */
+function updateConveyorTiles() {
+    const time = getTowerTime(); // Current tower time in seconds
+    const deltaTime = window.physics.FIXED_TIME_STEP;
+    const bodies = window.physics.getWorld().bodies;
+    const carried = new Map();
+    
+    conveyorTiles.forEach(tile => {
+        const { conveyorDirection, conveyorSpeed, beltTexture } = tile.properties;
+        
+        // Scroll the arrows at the belt's speed (the same for everyone on a shared tower)
+        beltTexture.offset.x = -(time * conveyorSpeed / CONVEYOR_STRIPE_LENGTH) % 1;
+        
+        bodies.forEach(body => {
+            if (body.mass === 0 || carried.has(body) || !isStandingOnTile(body, tile)) {
+                return;
+            }
+            
+            // Move the body with the belt rather than pushing it, so friction doesn't fight the belt
+            // and dashes, slides and running all keep working on top of it
+            body.position.x += conveyorDirection.x * conveyorSpeed * deltaTime;
+            body.position.z += conveyorDirection.z * conveyorSpeed * deltaTime;
+            
+            carried.set(body, {
+                x: conveyorDirection.x * conveyorSpeed,
+                z: conveyorDirection.z * conveyorSpeed
+            });
+        });
+    });
+    
+    // While riding, a body's velocity is relative to the belt: bodies that just got on lose the
+    // belt's speed, and bodies that just left (walked, jumped, dashed or slid off) keep it
+    carried.forEach((velocity, body) => {
+        if (!conveyorRiders.has(body)) {
+            body.velocity.x -= velocity.x;
+            body.velocity.z -= velocity.z;
+        }
+    });
+    conveyorRiders.forEach((velocity, body) => {
+        if (!carried.has(body)) {
+            body.velocity.x += velocity.x;
+            body.velocity.z += velocity.z;
+        }
+    });
+    
+    conveyorRiders.clear();
+    carried.forEach((velocity, body) => conveyorRiders.set(body, velocity));
+}
+
+/**
+ * Create the gadget a tile descriptor comes with
+ * @param {Object} descriptor - Tile layout from tower.js, with a gadget
+ */
+function createGadget(descriptor) {
+    const gadget = descriptor.gadget;
+    
+    switch (gadget.type) {
+        case GADGET_TYPES.LAUNCH_PAD:
+            createLaunchPad(descriptor.index, gadget);
+            break;
+        case GADGET_TYPES.ZIPLINE:
+            createZipline(descriptor.index, gadget);
+            break;
+        default:
+            console.warn(`Unknown gadget type "${gadget.type}"`);
+    }
+}
+
+/**
+ * Create a launch pad that throws whatever steps on it along its impulse
+ * @param {number} index - Index of the tile the pad is aimed at
+ * @param {Object} gadget - { x, y, z, impulse } pad position (on top of the tile below) and impulse (N·s)
+ */
+function createLaunchPad(index, gadget) {
+    const { x, y, z, impulse } = gadget;
+    
+    // A glowing disc, with an arrow showing which way it launches
+    const mesh = new THREE.Group();
+    mesh.position.set(x, y, z);
+    
+    const padMaterial = new THREE.MeshStandardMaterial({
+        color: 0xFF8C00, // Dark orange
+        emissive: 0xFF4500,
+        emissiveIntensity: 0.4
+    });
+    const pad = new THREE.Mesh(new THREE.CylinderGeometry(LAUNCH_PAD_SIZE / 2, LAUNCH_PAD_SIZE / 2, 0.1, 16), padMaterial);
+    pad.position.y = 0.05;
+    mesh.add(pad);
+    
+    const arrow = new THREE.Mesh(new THREE.ConeGeometry(0.3, 0.8, 8), new THREE.MeshBasicMaterial({ color: 0xFFFF00 }));
+    arrow.position.y = 0.5;
+    arrow.quaternion.setFromUnitVectors(
+        new THREE.Vector3(0, 1, 0),
+        new THREE.Vector3(impulse.x, impulse.y, impulse.z).normalize()
+    );
+    mesh.add(arrow);
+    
+    window.gameScene.getScene().add(mesh);
+    
+    gadgets.push({
+        index,
+        type: GADGET_TYPES.LAUNCH_PAD,
+        mesh,
+        // Footprint used to tell whether something is standing on the pad
+        position: { x, y, z },
+        properties: { width: LAUNCH_PAD_SIZE, depth: LAUNCH_PAD_SIZE, height: 0, impulse }
+    });
+}
+
+/**
+ * Create a zip line the player can grab and ride
+ * @param {number} index - Index of the tile the line runs to
+ * @param {Object} gadget - { start, end } positions of the line's ends
+ */
+function createZipline(index, gadget) {
+    const start = new THREE.Vector3(gadget.start.x, gadget.start.y, gadget.start.z);
+    const end = new THREE.Vector3(gadget.end.x, gadget.end.y, gadget.end.z);
+    const length = start.distanceTo(end);
+    
+    const mesh = new THREE.Group();
+    const cableMaterial = new THREE.MeshLambertMaterial({ color: 0x333333 });
+    const poleMaterial = new THREE.MeshLambertMaterial({ color: 0x8B4513 }); // Saddle brown
+    
+    // The cable, a thin cylinder stretched from one end to the other
+    const cable = new THREE.Mesh(new THREE.CylinderGeometry(0.05, 0.05, length, 6), cableMaterial);
+    cable.position.copy(start).add(end).multiplyScalar(0.5);
+    cable.quaternion.setFromUnitVectors(new THREE.Vector3(0, 1, 0), end.clone().sub(start).normalize());
+    mesh.add(cable);
+    
+    // A pole from the tile up past the cable at each end (visual only, so they never block a jump)
+    const poleHeight = ZIPLINE_HANG_HEIGHT + 0.3;
+    [start, end].forEach(point => {
+        const pole = new THREE.Mesh(new THREE.CylinderGeometry(0.1, 0.1, poleHeight, 6), poleMaterial);
+        pole.position.set(point.x, point.y - ZIPLINE_HANG_HEIGHT + poleHeight / 2, point.z);
+        mesh.add(pole);
+    });
+    
+    window.gameScene.getScene().add(mesh);
+    
+    gadgets.push({
+        index,
+        type: GADGET_TYPES.ZIPLINE,
+        mesh,
+        properties: {
+            start: gadget.start,
+            end: gadget.end,
+            length
+        }
+    });
+}
+
+/**
+ * Remove gadgets from the scene
+ * @param {Function} predicate - Returns true for gadgets to remove
+ */
+function removeGadgets(predicate) {
+    for (let i = gadgets.length - 1; i >= 0; i--) {
+        if (predicate(gadgets[i])) {
+            window.gameScene.getScene().remove(gadgets[i].mesh);
+            gadgets.splice(i, 1);
+        }
+    }
+}
+
+/**
+ * Launch bodies standing on launch pads and let the player grab zip lines
+ */
+function updateGadgets() {
+    const currentTime = window.physics.getSimulationTime();
+    const bodies = window.physics.getWorld().bodies;
+    const playerBody = window.player ? window.player.getPlayerBody() : null;
+    
+    gadgets.forEach(gadget => {
+        if (gadget.type === GADGET_TYPES.LAUNCH_PAD) {
+            bodies.forEach(body => {
+                if (body.mass === 0 || !isStandingOnTile(body, gadget)) {
+                    return;
+                }
+                
+                // Once per step onto the pad, not every tick while leaving it
+                const lastLaunch = launchedBodies.get(body);
+                if (lastLaunch !== undefined && currentTime - lastLaunch < LAUNCH_PAD_COOLDOWN) {
+                    return;
+                }
+                launchedBodies.set(body, currentTime);
+                
+                const { impulse } = gadget.properties;
+                if (body === playerBody) {
+                    window.player.launch(impulse);
+                } else {
+                    body.velocity.setZero();
+                    body.applyImpulse(new CANNON.Vec3(impulse.x, impulse.y, impulse.z), body.position);
+                }
+            });
+        } else if (gadget.type === GADGET_TYPES.ZIPLINE && playerBody && window.player.canGrabZipline()) {
+            const progress = getZiplineGrabProgress(window.player.getHandPosition(), gadget);
+            if (progress !== null) {
+                window.player.grabZipline(gadget.properties, progress);
+            }
+        }
+    });
+}
+
+/**
+ * Check whether a point is close enough to a zip line to grab it
+ * @param {Object} point - { x, y, z } position of the player's hands
+ * @param {Object} gadget - Zip line gadget
+ * @returns {number|null} How far along the line (0-1) the point is, or null if it's out of reach
+ */
+function getZiplineGrabProgress(point, gadget) {
+    const { start, end, length } = gadget.properties;
+    const dx = end.x - start.x;
+    const dy = end.y - start.y;
+    const dz = end.z - start.z;
+    
+    // Closest point on the line
+    const progress = ((point.x - start.x) * dx + (point.y - start.y) * dy + (point.z - start.z) * dz) / (length * length);
+    if (progress < 0 || progress > ZIPLINE_GRAB_LIMIT) {
+        return null;
+    }
+    
+    const offsetX = start.x + dx * progress - point.x;
+    const offsetY = start.y + dy * progress - point.y;
+    const offsetZ = start.z + dz * progress - point.z;
+    if (offsetX * offsetX + offsetY * offsetY + offsetZ * offsetZ > ZIPLINE_GRAB_DISTANCE * ZIPLINE_GRAB_DISTANCE) {
+        return null;
+    }
+    
+    return progress;
+}
+
+/**
+ * Create a collectible: a spinning pickup inside a trigger volume
+ * @param {number} index - Index of the tile it was placed with
+ * @param {number} slot - Position in the tile's list of collectibles
+ * @param {Object} descriptor - { type, x, y, z } from tower.js, plus powerUp for power-ups
+ */
+function createCollectible(index, slot, descriptor) {
+    const { type, powerUp, x, y, z } = descriptor;
+    const color = type === COLLECTIBLE_TYPES.POWER_UP ? POWER_UP_COLORS[powerUp] : COLLECTIBLE_COLORS[type];
+    if (color === undefined) {
+        console.warn(`Unknown collectible type "${powerUp || type}"`);
+        return;
+    }
+    
+    // Create the visual representation (glowing, so pickups stand out against the tiles)
+    let geometry;
+    switch (type) {
+        case COLLECTIBLE_TYPES.COIN:
+            geometry = new THREE.CylinderGeometry(0.4, 0.4, 0.08, 16);
+            geometry.rotateX(Math.PI / 2); // Stand the coin on its edge
+            break;
+        case COLLECTIBLE_TYPES.GEM:
+            geometry = new THREE.OctahedronGeometry(0.45);
+            break;
+        case COLLECTIBLE_TYPES.POWER_UP:
+            geometry = new THREE.BoxGeometry(0.6, 0.6, 0.6);
+            break;
+        default:
+            geometry = new THREE.SphereGeometry(0.4, 12, 12);
+    }
+    const material = new THREE.MeshStandardMaterial({
+        color,
+        emissive: color,
+        emissiveIntensity: 0.5
+    });
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.position.set(x, y, z);
+    window.gameScene.getScene().add(mesh);
+    
+    // A trigger volume: it reports contacts but never pushes anything
+    const body = new CANNON.Body({
+        mass: 0,
+        position: new CANNON.Vec3(x, y, z),
+        shape: new CANNON.Sphere(COLLECTIBLE_TRIGGER_RADIUS)
+    });
+    body.collisionResponse = false;
+    window.physics.getWorld().addBody(body);
+    
+    const collectible = {
+        index,
+        slot,
+        type,
+        powerUp,
+        color,
+        mesh,
+        body,
+        collected: false
+    };
+    
+    // Only mark it here; bodies can't be removed in the middle of a physics step
+    body.addEventListener('collide', event => {
+        if (event.body === window.player.getPlayerBody()) {
+            collectible.collected = true;
+        }
+    });
+    
+    collectibles.push(collectible);
+}
+
+/**
+ * Remove collectibles from the scene and physics world
+ * @param {Function} predicate - Returns true for collectibles to remove
+ */
+function removeCollectibles(predicate) {
+    for (let i = collectibles.length - 1; i >= 0; i--) {
+        if (predicate(collectibles[i])) {
+            window.gameScene.getScene().remove(collectibles[i].mesh);
+            window.physics.getWorld().removeBody(collectibles[i].body);
+            collectibles.splice(i, 1);
+        }
+    }
+}
+
+/**
+ * Hand the player the collectibles they touched and spin the rest
+ */
+function updateCollectibles() {
+    const angle = getTowerTime() * COLLECTIBLE_SPIN_SPEED;
+    
+    collectibles.forEach(collectible => {
+        collectible.mesh.rotation.y = angle;
         
-        // Calculate new position using sine wave
-        const offset = Math.sin(time * moveSpeed + movePhase) * moveDistance;
+        if (!collectible.collected) {
+            return;
+        }
         
-        // Update position based on direction
-        if (moveDirection === 'x') {
-            tile.body.position.x = startPosition.x + offset;
-        } else {
-            tile.body.position.z = startPosition.z + offset;
+        if (window.effects && window.effects.createPickupEffect) {
+            window.effects.createPickupEffect(collectible.body.position, collectible.color);
         }
+        window.player.collect(collectible.type, collectible.powerUp);
         
-        // Update mesh position
-        tile.mesh.position.copy(tile.body.position);
+        // The server relaxes its movement checks for power-ups it knows were picked up
+        if (collectible.powerUp && isSharedTower && window.network && window.network.sendPowerUp) {
+            window.network.sendPowerUp(collectible.index, collectible.slot);
+        }
+    });
+    
+    removeCollectibles(collectible => collectible.collected);
+}
+
+/**
+ * Pull nearby collectibles towards a point (power-ups stay put)
+ * @param {Object} point - { x, y, z } to pull towards
+ * @param {number} radius - How far away collectibles are still pulled
+ * @param {number} step - How far (m) each one moves
+ */
+function attractCollectibles(point, radius, step) {
+    collectibles.forEach(collectible => {
+        if (collectible.type === COLLECTIBLE_TYPES.POWER_UP) {
+            return;
+        }
+        
+        const position = collectible.body.position;
+        const dx = point.x - position.x;
+        const dy = point.y - position.y;
+        const dz = point.z - position.z;
+        const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        if (distance > radius || distance === 0) {
+            return;
+        }
+        
+        const move = Math.min(step, distance) / distance;
+        position.set(position.x + dx * move, position.y + dy * move, position.z + dz * move);
+        collectible.body.aabbNeedsUpdate = true;
+        collectible.mesh.position.copy(position);
+    });
+}
+
+/**
+ * Reach checkpoints the player stands on (only ones above the last checkpoint reached)
+ */
+function updateCheckpoints() {
+    const playerBody = window.player.getPlayerBody();
+    if (!playerBody) {
+        return;
+    }
+    
+    tiles.forEach(tile => {
+        if (tile.type !== TILE_TYPES.CHECKPOINT || tile.properties.reached || tile.properties.isGone || !isStandingOnTile(playerBody, tile)) {
+            return;
+        }
+        
+        if (activeCheckpoint && tile.index <= activeCheckpoint.index) {
+            return;
+        }
+        
+        reachCheckpoint(tile);
     });
 }
 
 /**
- * Update crumbling tiles
+ * Make a checkpoint the one the player respawns on
+ * @param {Object} tile - Checkpoint tile
+ */
+function reachCheckpoint(tile) {
+    const top = tile.position.y + tile.properties.height / 2;
+    
+    activeCheckpoint = {
+        index: tile.index,
+        x: tile.position.x,
+        y: top,
+        z: tile.position.z
+    };
+    tile.properties.reached = true;
+    tile.properties.flag.material.color.setHex(CHECKPOINT_REACHED_COLOR);
+    
+    console.log(`Checkpoint reached at height ${top}`);
+    
+    if (window.ui && window.ui.showNotification) {
+        window.ui.showNotification(`Checkpoint reached at ${Math.floor(top)}m`, 'checkpoint');
+    }
+}
+
+/**
+ * Get the last checkpoint the player reached
+ * @returns {Object|null} { index, x, y, z } position of the top of the checkpoint, or null if none
+ */
+function getCheckpoint() {
+    return activeCheckpoint;
+}
+
+/**
+ * Forget the checkpoints reached, so a new run starts from the bottom again
+ */
+function resetCheckpoints() {
+    activeCheckpoint = null;
+    
+    tiles.forEach(tile => {
+        if (tile.type === TILE_TYPES.CHECKPOINT) {
+            tile.properties.reached = false;
+            tile.properties.flag.material.color.setHex(CHECKPOINT_FLAG_COLOR);
+        }
+    });
+}
+
+/**
+ * Check whether a body is resting on top of a tile
+ * @param {CANNON.Body} body - Body to check
+ * @param {Object} tile - Tile data
+ */
+function isStandingOnTile(body, tile) {
+    const { width, depth, height } = tile.properties;
+    const tileTop = tile.position.y + height / 2;
+    
+    body.computeAABB();
+    
+    return (
+        Math.abs(body.position.x - tile.position.x) < width / 2 &&
+        Math.abs(body.position.z - tile.position.z) < depth / 2 &&
+        Math.abs(body.aabb.lowerBound.y - tileTop) < CONVEYOR_CONTACT_HEIGHT
+    );
+}
+
+/**
+ * Get the velocity of the conveyor belt a body is riding
+ * @param {CANNON.Body} body - Body to check
+ * @returns {Object} { x, z } belt velocity, zero if the body isn't on a belt
+ */
+function getConveyorVelocity(body) {
+    return conveyorRiders.get(body) || { x: 0, z: 0 };
+}
+
+/**
+ * Update crumbling tiles: crumble away after the delay, and on a shared tower come back once the
+ * respawn delay is up (driven by the tower clock, so everyone sees the same tile go and come back)
  */
 function updateCrumblingTiles() {
-    const currentTime = performance.now();
+    const time = getTowerTime();
     
     tiles.forEach(tile => {
         if (tile.type === TILE_TYPES.CRUMBLING && tile.properties.isCrumbling) {
-            const elapsedTime = currentTime - tile.properties.crumbleStartTime;
+            const elapsedTime = (time - tile.properties.crumbledAt) * 1000 - tile.properties.crumbleDelay;
             
-            if (elapsedTime > tile.properties.crumbleDuration) {
-                // Remove the tile
-                window.gameScene.getScene().remove(tile.mesh);
-                window.physics.getWorld().removeBody(tile.body);
-                
-                // Mark for removal
-                tile.toRemove = true;
+            // Still within the crumble delay
+            if (elapsedTime < 0) {
+                return;
+            }
+            
+            // Only a shared tower rebuilds its tiles; on your own a crumbled tile is gone for good
+            if (isSharedTower && time >= window.tower.getCrumbleEndTime(tile.properties, tile.properties.crumbledAt)) {
+                rebuildCrumbledTile(tile);
+            } else if (elapsedTime > tile.properties.crumbleDuration) {
+                // Gone (until it's rebuilt on a shared tower)
+                if (!tile.properties.isGone) {
+                    window.gameScene.getScene().remove(tile.mesh);
+                    window.physics.getWorld().removeBody(tile.body);
+                    tile.properties.isGone = true;
+                }
             } else {
                 // Animate crumbling (scale down)
                 const scale = 1 - (elapsedTime / tile.properties.crumbleDuration);
@@ -638,25 +1766,66 @@ function updateCrumblingTiles() {
             }
         }
     });
+}
+
+/**
+ * Put a crumbled tile back the way it was built
+ * @param {Object} tile - Crumbling tile whose respawn delay is up
+ */
+function rebuildCrumbledTile(tile) {
+    if (tile.properties.isGone) {
+        window.gameScene.getScene().add(tile.mesh);
+        window.physics.getWorld().addBody(tile.body);
+    }
     
-    // Remove tiles marked for removal
-    for (let i = tiles.length - 1; i >= 0; i--) {
-        if (tiles[i].toRemove) {
-            tiles.splice(i, 1);
-        }
+    tile.mesh.scale.set(1, 1, 1);
+    tile.mesh.material.opacity = 1;
+    tile.mesh.material.transparent = false;
+    tile.properties.isCrumbling = false;
+    tile.properties.isGone = false;
+    
+    // Only forget the crumble it came back from, not a newer one
+    if (crumbledTiles.get(tile.index) === tile.properties.crumbledAt) {
+        crumbledTiles.delete(tile.index);
     }
 }
 
 /**
  * Start crumbling a tile
+ * @param {Object} tile - Tile to crumble
+ * @param {number} [crumbledAt] - Tower time (s) another player stepped on it; defaults to now, stepped on by this player
  */
-function startCrumbling(tile) {
+function startCrumbling(tile, crumbledAt) {
     if (tile.type === TILE_TYPES.CRUMBLING && !tile.properties.isCrumbling) {
+        const fromNetwork = crumbledAt !== undefined;
         tile.properties.isCrumbling = true;
-        tile.properties.crumbleStartTime = performance.now() + tile.properties.crumbleDelay;
+        tile.properties.crumbledAt = fromNetwork ? crumbledAt : getTowerTime();
+        
+        // Let everyone else on the shared tower see it crumble too
+        if (isSharedTower) {
+            crumbledTiles.set(tile.index, tile.properties.crumbledAt);
+            if (!fromNetwork && window.network && window.network.sendCrumble) {
+                window.network.sendCrumble(tile.index);
+            }
+        }
     }
 }
 
+/**
+ * Crumble a tile by its tower index (used for crumbles reported by the server)
+ * @param {number} index - Tower index of the tile
+ * @param {number} at - Tower time (s) it was stepped on
+ */
+function crumbleTile(index, at) {
+    crumbledTiles.set(index, at);
+    
+    tiles.forEach(tile => {
+        if (tile.index === index) {
+            startCrumbling(tile, at);
+        }
+    });
+}
+
 /**
  * Check if we need to generate more tiles
  */
@@ -686,19 +1855,22 @@ function checkTileCollision(characterPosition) {
     const position = characterPosition || window.player.getPlayerPosition();
     
     tiles.forEach(tile => {
-        // Only check crumbling tiles
-        if (tile.type === TILE_TYPES.CRUMBLING) {
+        // Only check crumbling tiles that are still there
+        if (tile.type === TILE_TYPES.CRUMBLING && !tile.properties.isGone) {
             // Simple AABB collision check
             const { width, depth } = tile.properties;
             const halfWidth = width / 2;
             const halfDepth = depth / 2;
             
+            const tileTop = tile.position.y + tile.properties.height / 2;
+            
             if (
                 position.x > tile.position.x - halfWidth &&
                 position.x < tile.position.x + halfWidth &&
                 position.z > tile.position.z - halfDepth &&
                 position.z < tile.position.z + halfDepth &&
-                Math.abs(position.y - tile.position.y) < 1
+                position.y >= tileTop &&
+                position.y - tileTop < CRUMBLE_CONTACT_HEIGHT
             ) {
                 // Character is on this crumbling tile
                 startCrumbling(tile);
@@ -714,12 +1886,45 @@ function getTiles() {
     return tiles;
 }
 
+/**
+ * Find the tile a physics body belongs to
+ * @param {CANNON.Body} body - Body to look up
+ * @returns {Object|null} The tile, or null if the body isn't one
+ */
+function getTileByBody(body) {
+    return tiles.find(tile => tile.body === body && !tile.properties.isGone) || null;
+}
+
+/**
+ * Get the seed the current tower was generated from
+ */
+function getSeed() {
+    return towerSeed;
+}
+
 // Export tile functions
 window.tiles = {
     initTiles,
     updateTiles,
+    syncMovingTiles,
     getTiles,
+    getTileByBody,
+    getSeed,
     resetTiles,
+    cullTilesBelow,
     generateNextTile,
-    checkTileCollision
+    checkTileCollision,
+    loadSharedTower,
+    appendSharedTiles,
+    crumbleTile,
+    getConveyorVelocity,
+    getCheckpoint,
+    resetCheckpoints,
+    attractCollectibles,
+    getTowerTime,
+    getTowerClock,
+    setTowerClock,
+    saveTower,
+    restoreTower,
+    isSharedTower: () => isSharedTower
 }; 
\ No newline at end of file
@@ -0,0 +1,756 @@
+/**
+ * tower.js - Deterministic tower layout generation
+ *
+ * This file decides where tiles go: their type, position, size and movement
+ * parameters. It produces plain tile descriptors and never touches Three.js or
+ * Cannon.js, so the exact same code runs in the browser (tiles.js builds the
+ * meshes and bodies) and on the server (which streams descriptors to every
+ * player in a session so everyone climbs the same tower).
+ */
+
+(function(root) {
+    // Seeded PRNG (random.js) and movement limits (movement.js) in either environment
+    const random = (typeof module !== 'undefined' && module.exports) ? require('./random') : root.random;
+    const movement = (typeof module !== 'undefined' && module.exports) ? require('./movement') : root.movement;
+    
+    // Layout constants
+    const TILE_SIZE = 10; // Base size of each tile (width and depth)
+    const TILE_HEIGHT_SPACING = 5; // Vertical distance between tiles
+    const MAX_DIFFICULTY = 10; // Highest difficulty level
+    const TILES_PER_DIFFICULTY = 10; // Tiles generated before difficulty increases
+    const CONVEYOR_BASE_SPEED = 3; // Belt speed (m/s) at difficulty 0
+    const CONVEYOR_SPEED_PER_DIFFICULTY = 0.3; // Extra belt speed per difficulty level
+    const ELEVATOR_LIFT = TILE_HEIGHT_SPACING * 2; // Height an elevator rides up, more than a jump can reach
+    const ELEVATOR_BASE_TRAVEL_TIME = 4; // Seconds to ride from one end to the other at difficulty 0
+    const ELEVATOR_MIN_TRAVEL_TIME = 2; // Fastest ride, reached at high difficulty
+    const ELEVATOR_PAUSE_TIME = 1.5; // Seconds an elevator waits at each end
+    const ONE_WAY_CHANCE = 0.4; // Share of platforms that can be jumped up through
+    const RAMP_BASE_RISE = 3; // Height (m) a ramp climbs over its length at difficulty 0
+    const RAMP_RISE_PER_DIFFICULTY = 0.2; // Extra climb per difficulty level (steeper ramps)
+    const GADGET_CHANCE = 0.5; // Chance (from difficulty 2) that a tile following a gadget anchor gets a gadget leading up to it
+    const LAUNCH_PAD_CLEARANCE = 2; // How far (m) a launch arcs above the tile it's aimed at
+    const ZIPLINE_HANG_HEIGHT = 3; // Height (m) of a zip line above the tiles it joins
+    const CRUMBLE_RESPAWN_DELAY = 5000; // ms a crumbled tile on a shared tower stays gone before it's rebuilt, so the tower stays climbable for everyone
+    const CHECKPOINT_INTERVAL = 15; // Tiles between checkpoints, where players come back after a fall
+    const COIN_CHANCE = 0.5; // Chance of a trail of coins leading up to a tile
+    const COIN_COUNT = 3; // Coins in a trail
+    const GEM_CHANCE = 0.15; // Chance (from difficulty 2) of a gem hanging out past a tile's edge
+    const GEM_REACH = 3; // How far (m) past the edge of its tile a gem hangs
+    const HEALTH_ORB_CHANCE = 0.05; // Chance of a health orb above a tile
+    const POWER_UP_CHANCE = 0.08; // Chance (from difficulty 2) of a power-up above a tile
+    const COLLECTIBLE_HOVER_HEIGHT = 1.2; // Height (m) collectibles float above the surface under them
+    const HAZARD_MIN_DIFFICULTY = 3; // Difficulty from which tiles can have hazards
+    const HAZARD_CHANCE_PER_DIFFICULTY = 0.06; // Chance of a hazard on a tile, per difficulty level from HAZARD_MIN_DIFFICULTY
+    const WIND_ZONE_HEIGHT = 8; // Height (m) of a wind zone, reaching down over the jump up to its tile
+    const WIND_BASE_STRENGTH = 4; // Push (m/s²) of a wind zone at difficulty 0
+    const WIND_STRENGTH_PER_DIFFICULTY = 0.5; // Extra push per difficulty level
+    const LASER_HEIGHT = 0.6; // Height (m) of a laser beam above its tile, low enough to jump over
+    const LASER_BASE_SWEEP_SPEED = 0.8; // How fast (rad/s) a laser sweeps around at difficulty 0
+    const LASER_SWEEP_SPEED_PER_DIFFICULTY = 0.1; // Extra sweep speed per difficulty level
+    const DEBRIS_BASE_PERIOD = 8; // Seconds between pieces of debris falling at difficulty 0
+    const DEBRIS_PERIOD_PER_DIFFICULTY = 0.4; // Seconds less between pieces per difficulty level
+    const DEBRIS_MIN_PERIOD = 4; // Shortest time between pieces, reached at high difficulty
+    const DRONE_MIN_DIFFICULTY = 4; // Difficulty from which drones patrol the tower
+    const DRONE_CHANCE_PER_DIFFICULTY = 0.05; // Chance of a drone at a tile, per difficulty level from DRONE_MIN_DIFFICULTY
+    const DRONE_FLIGHT_HEIGHT = 2; // Height (m) drones fly at above the tiles they patrol
+    const DRONE_PATROL_SWING = 4; // How far (m) a patrol loop swings out to either side of the way up
+    const DRONE_BASE_LAP_TIME = 10; // Seconds a drone takes to go once round its route at difficulty 0
+    const DRONE_LAP_TIME_PER_DIFFICULTY = 0.5; // Seconds less per lap per difficulty level
+    const DRONE_MIN_LAP_TIME = 5; // Fastest lap, reached at high difficulty
+    
+    // Tile types
+    const TILE_TYPES = {
+        PLATFORM: 'platform',
+        STAIRS: 'stairs',
+        MOVING: 'moving',
+        CRUMBLING: 'crumbling',
+        BOUNCE: 'bounce',
+        ICE: 'ice',
+        CONVEYOR: 'conveyor',
+        SPINNING: 'spinning',
+        SEESAW: 'seesaw',
+        ORBITING: 'orbiting',
+        ELEVATOR: 'elevator',
+        RAMP: 'ramp',
+        CHECKPOINT: 'checkpoint'
+    };
+    
+    // Gadget types (placed between the previous tile and the one they lead to)
+    const GADGET_TYPES = {
+        LAUNCH_PAD: 'launchPad',
+        ZIPLINE: 'zipline'
+    };
+    
+    // Tiles that stay put and are flat, so a gadget can be fixed to them
+    const GADGET_ANCHOR_TYPES = [TILE_TYPES.PLATFORM, TILE_TYPES.ICE, TILE_TYPES.CONVEYOR, TILE_TYPES.CHECKPOINT];
+    
+    // Collectible types (placed by the tile they lead up to or hang beside)
+    const COLLECTIBLE_TYPES = {
+        COIN: 'coin',
+        GEM: 'gem',
+        HEALTH: 'health',
+        POWER_UP: 'powerUp'
+    };
+    
+    // Power-ups a power-up collectible can grant
+    const POWER_UP_TYPES = {
+        JETPACK: 'jetpack',
+        FEATHER_FALL: 'featherFall',
+        MAGNET: 'magnet',
+        SHIELD: 'shield'
+    };
+    
+    // Hazard types (each belonging to the tile it's placed on)
+    const HAZARD_TYPES = {
+        WIND: 'wind',
+        LASER: 'laser',
+        DEBRIS: 'debris'
+    };
+    
+    // Drone types: patrolling a loop between the previous tile and this one, or hovering round this one
+    const DRONE_TYPES = {
+        PATROL: 'patrol',
+        HOVER: 'hover'
+    };
+    
+    // Tiles that stay put, have a flat top and don't go away, so hazards can be set up over them
+    // (checkpoints stay safe to respawn on)
+    const HAZARD_TILE_TYPES = [TILE_TYPES.PLATFORM, TILE_TYPES.ICE, TILE_TYPES.CONVEYOR, TILE_TYPES.BOUNCE];
+    
+    // Tiles that move, so collectibles placed at their rest position wouldn't stay with them
+    const MOVING_TILE_TYPES = [TILE_TYPES.MOVING, TILE_TYPES.SPINNING, TILE_TYPES.SEESAW, TILE_TYPES.ORBITING, TILE_TYPES.ELEVATOR];
+    
+    /**
+     * Get when a crumbling tile that was stepped on is rebuilt
+     * @param {Object} tile - Crumbling tile descriptor
+     * @param {number} crumbledAt - Tower time (seconds) it was stepped on
+     * @returns {number} Tower time (seconds) it's back
+     */
+    function getCrumbleEndTime(tile, crumbledAt) {
+        return crumbledAt + (tile.crumbleDelay + tile.crumbleDuration + tile.respawnDelay) / 1000;
+    }
+    
+    /**
+     * Create a tower generator for a seed
+     * @param {number|string} seed - Tower seed
+     * @returns {Object} Generator with a next() function returning tile descriptors
+     */
+    function createTowerGenerator(seed) {
+        const rng = random.createRandom(seed);
+        let index = 0; // Index of the next tile descriptor
+        let height = 0; // Height of the highest tile
+        let difficulty = 1; // Current difficulty level (increases with height)
+        let lastTileType = null; // Track the last generated tile type
+        let lastTile = null; // Previously generated tile descriptor
+        
+        /**
+         * Random offset in [-maxOffset, maxOffset]
+         */
+        function randomOffset(maxOffset) {
+            return (rng() * maxOffset * 2) - maxOffset;
+        }
+        
+        /**
+         * Choose a tile type based on current difficulty
+         */
+        function chooseTileType() {
+            // Available tile types based on difficulty
+            const availableTypes = [TILE_TYPES.PLATFORM]; // Always available
+            
+            // Add more tile types as difficulty increases
+            if (difficulty >= 2) availableTypes.push(TILE_TYPES.STAIRS);
+            if (difficulty >= 3) availableTypes.push(TILE_TYPES.MOVING, TILE_TYPES.RAMP);
+            if (difficulty >= 4) availableTypes.push(TILE_TYPES.ICE);
+            if (difficulty >= 5) availableTypes.push(TILE_TYPES.CRUMBLING, TILE_TYPES.ELEVATOR);
+            if (difficulty >= 6) availableTypes.push(TILE_TYPES.CONVEYOR);
+            if (difficulty >= 7) availableTypes.push(TILE_TYPES.BOUNCE);
+            if (difficulty >= 8) availableTypes.push(TILE_TYPES.SPINNING, TILE_TYPES.SEESAW);
+            if (difficulty >= 9) availableTypes.push(TILE_TYPES.ORBITING);
+            
+            // Don't repeat the same tile type twice in a row (except platforms)
+            let chosenType;
+            do {
+                chosenType = availableTypes[Math.floor(rng() * availableTypes.length)];
+            } while (chosenType === lastTileType && chosenType !== TILE_TYPES.PLATFORM);
+            
+            // Remember this tile type
+            lastTileType = chosenType;
+            
+            return chosenType;
+        }
+        
+        /**
+         * Lay out a basic platform tile
+         */
+        function layoutPlatform(tile) {
+            // Random position within bounds (increases with difficulty)
+            const maxOffset = difficulty * 2;
+            tile.x = randomOffset(maxOffset);
+            tile.z = randomOffset(maxOffset);
+            
+            // Random size (gets smaller with difficulty)
+            const sizeMultiplier = Math.max(0.5, 1 - (difficulty * 0.05));
+            tile.width = TILE_SIZE * sizeMultiplier * (0.8 + rng() * 0.4);
+            tile.depth = TILE_SIZE * sizeMultiplier * (0.8 + rng() * 0.4);
+            
+            // Some platforms only hold the player up from above, so they're never a ceiling
+            tile.oneWay = rng() < ONE_WAY_CHANCE;
+        }
+        
+        /**
+         * Lay out a flight of stairs leading up to the current height
+         */
+        function layoutStairs(tile) {
+            const maxOffset = difficulty;
+            tile.x = randomOffset(maxOffset);
+            tile.z = randomOffset(maxOffset);
+            
+            // Number of steps
+            const numSteps = 3 + Math.floor(rng() * 3); // 3-5 steps
+            
+            // Step dimensions
+            const stepWidth = TILE_SIZE * 0.8;
+            const stepDepth = TILE_SIZE * 0.3;
+            const stepHeight = TILE_HEIGHT_SPACING / numSteps;
+            
+            // Random direction for stairs
+            const direction = rng() < 0.5 ? 'x' : 'z';
+            const directionSign = rng() < 0.5 ? 1 : -1;
+            
+            tile.steps = [];
+            for (let i = 0; i < numSteps; i++) {
+                const step = {
+                    x: tile.x,
+                    y: height - TILE_HEIGHT_SPACING + (i + 0.5) * stepHeight,
+                    z: tile.z,
+                    width: stepWidth,
+                    depth: stepDepth,
+                    height: stepHeight
+                };
+                
+                // Adjust position based on direction
+                if (direction === 'x') {
+                    step.x += directionSign * i * stepDepth;
+                } else {
+                    step.z += directionSign * i * stepDepth;
+                }
+                
+                tile.steps.push(step);
+            }
+        }
+        
+        /**
+         * Lay out a tile that slides back and forth
+         */
+        function layoutMoving(tile) {
+            const maxOffset = difficulty;
+            tile.x = randomOffset(maxOffset);
+            tile.z = randomOffset(maxOffset);
+            tile.width = TILE_SIZE * 0.8;
+            tile.depth = TILE_SIZE * 0.8;
+            
+            // Movement properties
+            tile.moveDirection = rng() < 0.5 ? 'x' : 'z';
+            tile.moveDistance = TILE_SIZE * (1 + rng());
+            tile.moveSpeed = 0.05 * (1 + difficulty * 0.1);
+            tile.movePhase = rng() * Math.PI * 2; // Random starting phase
+        }
+        
+        /**
+         * Lay out a tile that crumbles shortly after being stepped on
+         */
+        function layoutCrumbling(tile) {
+            const maxOffset = difficulty;
+            tile.x = randomOffset(maxOffset);
+            tile.z = randomOffset(maxOffset);
+            tile.width = TILE_SIZE * 0.9;
+            tile.depth = TILE_SIZE * 0.9;
+            tile.crumbleDelay = 500; // ms before crumbling starts
+            tile.crumbleDuration = 1000; // ms to complete crumbling
+            tile.respawnDelay = CRUMBLE_RESPAWN_DELAY; // ms gone before it's rebuilt
+        }
+        
+        /**
+         * Lay out a bouncy tile
+         */
+        function layoutBounce(tile) {
+            const maxOffset = difficulty;
+            tile.x = randomOffset(maxOffset);
+            tile.z = randomOffset(maxOffset);
+            tile.width = TILE_SIZE * 0.8;
+            tile.depth = TILE_SIZE * 0.8;
+        }
+        
+        /**
+         * Lay out a slippery ice tile (wider than a platform, since stopping on it is the hard part)
+         */
+        function layoutIce(tile) {
+            const maxOffset = difficulty;
+            tile.x = randomOffset(maxOffset);
+            tile.z = randomOffset(maxOffset);
+            tile.width = TILE_SIZE * (0.9 + rng() * 0.3);
+            tile.depth = TILE_SIZE * (0.9 + rng() * 0.3);
+        }
+        
+        /**
+         * Lay out a conveyor belt that carries whatever stands on it along one axis
+         */
+        function layoutConveyor(tile) {
+            const maxOffset = difficulty;
+            tile.x = randomOffset(maxOffset);
+            tile.z = randomOffset(maxOffset);
+            
+            // Direction of travel: along x or z, either way
+            const alongX = rng() < 0.5;
+            const directionSign = rng() < 0.5 ? 1 : -1;
+            tile.conveyorDirection = alongX ? { x: directionSign, z: 0 } : { x: 0, z: directionSign };
+            tile.conveyorSpeed = CONVEYOR_BASE_SPEED + difficulty * CONVEYOR_SPEED_PER_DIFFICULTY;
+            
+            // Long in the direction of travel, narrow across it
+            const length = TILE_SIZE * 1.2;
+            const beltWidth = TILE_SIZE * 0.5;
+            tile.width = alongX ? length : beltWidth;
+            tile.depth = alongX ? beltWidth : length;
+        }
+        
+        /**
+         * Lay out a ramp climbing along one axis, centred on the tile's height
+         */
+        function layoutRamp(tile) {
+            const maxOffset = difficulty;
+            tile.x = randomOffset(maxOffset);
+            tile.z = randomOffset(maxOffset);
+            
+            // Uphill direction: along x or z, either way
+            const alongX = rng() < 0.5;
+            const directionSign = rng() < 0.5 ? 1 : -1;
+            tile.rampDirection = alongX ? { x: directionSign, z: 0 } : { x: 0, z: directionSign };
+            tile.rampRise = RAMP_BASE_RISE + difficulty * RAMP_RISE_PER_DIFFICULTY;
+            
+            // Footprint: long uphill, narrow across
+            const length = TILE_SIZE * 1.2;
+            const rampWidth = TILE_SIZE * 0.6;
+            tile.width = alongX ? length : rampWidth;
+            tile.depth = alongX ? rampWidth : length;
+        }
+        
+        /**
+         * Lay out a bar that spins around its own vertical axis
+         */
+        function layoutSpinning(tile) {
+            const maxOffset = difficulty;
+            tile.x = randomOffset(maxOffset);
+            tile.z = randomOffset(maxOffset);
+            
+            // Long and narrow, so the ends sweep around
+            tile.width = TILE_SIZE * 1.2;
+            tile.depth = TILE_SIZE * 0.35;
+            
+            // Rotation properties (rad/s, either way round)
+            tile.spinSpeed = (0.3 + difficulty * 0.05) * (rng() < 0.5 ? 1 : -1);
+            tile.spinPhase = rng() * Math.PI * 2; // Random starting angle
+        }
+        
+        /**
+         * Lay out a see-saw that rocks back and forth around a horizontal axis
+         */
+        function layoutSeesaw(tile) {
+            const maxOffset = difficulty;
+            tile.x = randomOffset(maxOffset);
+            tile.z = randomOffset(maxOffset);
+            tile.width = TILE_SIZE * 0.8;
+            tile.depth = TILE_SIZE * 0.8;
+            
+            // Tilt properties
+            tile.tiltAxis = rng() < 0.5 ? 'x' : 'z';
+            tile.tiltAngle = 0.15 + difficulty * 0.02; // Largest tilt either way (rad)
+            tile.tiltSpeed = 0.8 + rng() * 0.4; // Rocking rate (rad/s)
+            tile.tiltPhase = rng() * Math.PI * 2; // Random starting phase
+        }
+        
+        /**
+         * Lay out a small platform circling a pivot (tile.x, tile.z is the pivot)
+         */
+        function layoutOrbiting(tile) {
+            const maxOffset = difficulty;
+            tile.x = randomOffset(maxOffset);
+            tile.z = randomOffset(maxOffset);
+            tile.width = TILE_SIZE * 0.6;
+            tile.depth = TILE_SIZE * 0.6;
+            
+            // Orbit properties
+            tile.orbitRadius = TILE_SIZE * (0.5 + rng() * 0.5);
+            tile.orbitSpeed = (0.3 + difficulty * 0.03) * (rng() < 0.5 ? 1 : -1); // rad/s, either way round
+            tile.orbitPhase = rng() * Math.PI * 2; // Random starting angle
+        }
+        
+        /**
+         * Lay out an elevator that rides up from the height of the previous tile, with a pause at each end
+         * (tile.y is the top stop)
+         */
+        function layoutElevator(tile) {
+            // Beside the previous tile, so it can be boarded when it comes down
+            const alongX = rng() < 0.5;
+            const directionSign = rng() < 0.5 ? 1 : -1;
+            tile.x = lastTile.x + (alongX ? directionSign * TILE_SIZE : 0);
+            tile.z = lastTile.z + (alongX ? 0 : directionSign * TILE_SIZE);
+            tile.width = TILE_SIZE * 0.6;
+            tile.depth = TILE_SIZE * 0.6;
+            
+            // Lift properties
+            tile.elevatorLift = ELEVATOR_LIFT;
+            tile.elevatorTravelTime = Math.max(ELEVATOR_MIN_TRAVEL_TIME, ELEVATOR_BASE_TRAVEL_TIME - difficulty * 0.2);
+            tile.elevatorPauseTime = ELEVATOR_PAUSE_TIME;
+            tile.elevatorPhase = rng(); // Random starting point in the cycle (fraction of a cycle)
+        }
+        
+        /**
+         * Add a gadget on the previous tile that leads up to this one: a launch pad aimed at it,
+         * or (from difficulty 4) a zip line running to it
+         */
+        function layoutGadget(tile) {
+            const lastTop = lastTile.y + lastTile.height / 2;
+            const top = tile.y + tile.height / 2;
+            
+            if (difficulty >= 4 && rng() < 0.5) {
+                tile.gadget = {
+                    type: GADGET_TYPES.ZIPLINE,
+                    start: { x: lastTile.x, y: lastTop + ZIPLINE_HANG_HEIGHT, z: lastTile.z },
+                    end: { x: tile.x, y: top + ZIPLINE_HANG_HEIGHT, z: tile.z }
+                };
+                return;
+            }
+            
+            // Arc up past the tile, then come down on its middle
+            const gravity = -movement.GRAVITY;
+            const rise = top - lastTop;
+            const launchSpeed = Math.sqrt(2 * gravity * (rise + LAUNCH_PAD_CLEARANCE));
+            const flightTime = (launchSpeed + Math.sqrt(launchSpeed * launchSpeed - 2 * gravity * rise)) / gravity;
+            
+            tile.gadget = {
+                type: GADGET_TYPES.LAUNCH_PAD,
+                x: lastTile.x,
+                y: lastTop,
+                z: lastTile.z,
+                impulse: {
+                    x: (tile.x - lastTile.x) / flightTime * movement.PLAYER_MASS,
+                    y: launchSpeed * movement.PLAYER_MASS,
+                    z: (tile.z - lastTile.z) / flightTime * movement.PLAYER_MASS
+                }
+            };
+        }
+        
+        /**
+         * Place collectibles: coins along the way up from the previous tile, a gem out past the
+         * edge (worth a risky jump) and now and then a health orb or a power-up
+         */
+        function layoutCollectibles(tile) {
+            const collectibles = [];
+            const top = tile.y + tile.height / 2;
+            
+            if (lastTile && !MOVING_TILE_TYPES.includes(lastTile.type) && rng() < COIN_CHANCE) {
+                const lastTop = lastTile.y + lastTile.height / 2;
+                for (let i = 1; i <= COIN_COUNT; i++) {
+                    const t = i / (COIN_COUNT + 1);
+                    collectibles.push({
+                        type: COLLECTIBLE_TYPES.COIN,
+                        x: lastTile.x + (tile.x - lastTile.x) * t,
+                        y: lastTop + (top - lastTop) * t + COLLECTIBLE_HOVER_HEIGHT + Math.sin(Math.PI * t) * 2,
+                        z: lastTile.z + (tile.z - lastTile.z) * t
+                    });
+                }
+            }
+            
+            if (difficulty >= 2 && rng() < GEM_CHANCE) {
+                const angle = rng() * Math.PI * 2;
+                const reach = Math.max(tile.width, tile.depth) / 2 + GEM_REACH;
+                collectibles.push({
+                    type: COLLECTIBLE_TYPES.GEM,
+                    x: tile.x + Math.cos(angle) * reach,
+                    y: top + COLLECTIBLE_HOVER_HEIGHT * 2,
+                    z: tile.z + Math.sin(angle) * reach
+                });
+            }
+            
+            if (rng() < HEALTH_ORB_CHANCE) {
+                collectibles.push({
+                    type: COLLECTIBLE_TYPES.HEALTH,
+                    x: tile.x,
+                    y: top + COLLECTIBLE_HOVER_HEIGHT,
+                    z: tile.z
+                });
+            }
+            
+            if (difficulty >= 2 && rng() < POWER_UP_CHANCE) {
+                const powerUps = Object.values(POWER_UP_TYPES);
+                collectibles.push({
+                    type: COLLECTIBLE_TYPES.POWER_UP,
+                    powerUp: powerUps[Math.floor(rng() * powerUps.length)],
+                    x: tile.x,
+                    y: top + COLLECTIBLE_HOVER_HEIGHT * 2,
+                    z: tile.z
+                });
+            }
+            
+            if (collectibles.length > 0) {
+                tile.collectibles = collectibles;
+            }
+        }
+        
+        /**
+         * Add a hazard to a tile, more often the higher the difficulty: a wind zone blowing across the
+         * way up to it, (from difficulty 4) a laser sweeping over it or (from difficulty 5) debris
+         * falling onto it
+         */
+        function layoutHazard(tile) {
+            const chance = (difficulty - HAZARD_MIN_DIFFICULTY + 1) * HAZARD_CHANCE_PER_DIFFICULTY;
+            if (difficulty < HAZARD_MIN_DIFFICULTY || rng() >= chance) {
+                return;
+            }
+            
+            const types = [HAZARD_TYPES.WIND];
+            if (difficulty >= 4) types.push(HAZARD_TYPES.LASER);
+            if (difficulty >= 5) types.push(HAZARD_TYPES.DEBRIS);
+            const type = types[Math.floor(rng() * types.length)];
+            const top = tile.y + tile.height / 2;
+            
+            switch (type) {
+                case HAZARD_TYPES.WIND: {
+                    // Blowing along x or z, either way
+                    const alongX = rng() < 0.5;
+                    const directionSign = rng() < 0.5 ? 1 : -1;
+                    tile.hazard = {
+                        type,
+                        x: tile.x,
+                        y: top,
+                        z: tile.z,
+                        width: tile.width,
+                        height: WIND_ZONE_HEIGHT,
+                        depth: tile.depth,
+                        direction: alongX ? { x: directionSign, z: 0 } : { x: 0, z: directionSign },
+                        strength: WIND_BASE_STRENGTH + difficulty * WIND_STRENGTH_PER_DIFFICULTY
+                    };
+                    break;
+                }
+                case HAZARD_TYPES.LASER:
+                    // A beam turning around the middle of the tile, reaching its edge
+                    tile.hazard = {
+                        type,
+                        x: tile.x,
+                        y: top + LASER_HEIGHT,
+                        z: tile.z,
+                        length: Math.max(tile.width, tile.depth) / 2,
+                        sweepSpeed: (LASER_BASE_SWEEP_SPEED + difficulty * LASER_SWEEP_SPEED_PER_DIFFICULTY) * (rng() < 0.5 ? 1 : -1),
+                        sweepPhase: rng() * Math.PI * 2 // Random starting angle
+                    };
+                    break;
+                case HAZARD_TYPES.DEBRIS:
+                    // Somewhere on the tile, away from its edges
+                    tile.hazard = {
+                        type,
+                        x: tile.x + (rng() - 0.5) * tile.width * 0.6,
+                        y: top,
+                        z: tile.z + (rng() - 0.5) * tile.depth * 0.6,
+                        period: Math.max(DEBRIS_MIN_PERIOD, DEBRIS_BASE_PERIOD - difficulty * DEBRIS_PERIOD_PER_DIFFICULTY),
+                        phase: rng() // Random starting point in the cycle (fraction of a cycle)
+                    };
+                    break;
+            }
+        }
+        
+        /**
+         * Add a drone, more often the higher the difficulty: patrolling a loop from above the previous
+         * tile to above this one, or hovering round this one's edge
+         */
+        function layoutDrone(tile) {
+            const chance = (difficulty - DRONE_MIN_DIFFICULTY + 1) * DRONE_CHANCE_PER_DIFFICULTY;
+            if (difficulty < DRONE_MIN_DIFFICULTY || rng() >= chance) {
+                return;
+            }
+            
+            const y = tile.y + tile.height / 2 + DRONE_FLIGHT_HEIGHT;
+            const lapTime = Math.max(DRONE_MIN_LAP_TIME, DRONE_BASE_LAP_TIME - difficulty * DRONE_LAP_TIME_PER_DIFFICULTY);
+            const phase = rng(); // Random starting point on the route (fraction of a lap)
+            
+            // A patrol needs a previous tile that stays where it is
+            if (lastTile && !MOVING_TILE_TYPES.includes(lastTile.type) && rng() < 0.5) {
+                const lastY = lastTile.y + lastTile.height / 2 + DRONE_FLIGHT_HEIGHT;
+                
+                // Swing out to either side of the straight line between the tiles
+                const dx = tile.x - lastTile.x;
+                const dz = tile.z - lastTile.z;
+                const distance = Math.sqrt(dx * dx + dz * dz);
+                const sideX = distance > 0 ? -dz / distance : 1;
+                const sideZ = distance > 0 ? dx / distance : 0;
+                const midX = (tile.x + lastTile.x) / 2;
+                const midZ = (tile.z + lastTile.z) / 2;
+                const midY = (y + lastY) / 2;
+                
+                tile.drone = {
+                    type: DRONE_TYPES.PATROL,
+                    points: [
+                        { x: lastTile.x, y: lastY, z: lastTile.z },
+                        { x: midX + sideX * DRONE_PATROL_SWING, y: midY, z: midZ + sideZ * DRONE_PATROL_SWING },
+                        { x: tile.x, y, z: tile.z },
+                        { x: midX - sideX * DRONE_PATROL_SWING, y: midY, z: midZ - sideZ * DRONE_PATROL_SWING }
+                    ],
+                    lapTime,
+                    phase
+                };
+                return;
+            }
+            
+            tile.drone = {
+                type: DRONE_TYPES.HOVER,
+                x: tile.x,
+                y,
+                z: tile.z,
+                radius: Math.max(tile.width, tile.depth) / 2,
+                lapTime: lapTime * (rng() < 0.5 ? 1 : -1), // Either way round
+                phase
+            };
+        }
+        
+        /**
+         * Lay out a checkpoint: a full-size solid platform, easy to land on and to respawn on
+         */
+        function layoutCheckpoint(tile) {
+            const maxOffset = difficulty * 2;
+            tile.x = randomOffset(maxOffset);
+            tile.z = randomOffset(maxOffset);
+        }
+        
+        /**
+         * Generate the descriptor for the next tile
+         */
+        function next() {
+            // Increase height for the next tile
+            height += TILE_HEIGHT_SPACING;
+            
+            // Increase difficulty every few tiles
+            if ((index + 1) % TILES_PER_DIFFICULTY === 0) {
+                difficulty = Math.min(MAX_DIFFICULTY, difficulty + 1);
+            }
+            
+            // Every few tiles there's a checkpoint instead of a random tile
+            const isCheckpoint = index > 0 && index % CHECKPOINT_INTERVAL === 0;
+            
+            const tile = {
+                index: index++,
+                type: isCheckpoint ? TILE_TYPES.CHECKPOINT : chooseTileType(),
+                difficulty,
+                x: 0,
+                y: height,
+                z: 0,
+                width: TILE_SIZE,
+                depth: TILE_SIZE,
+                height: 1,
+                // Seed for cosmetic variation (colors), so visuals stay deterministic too
+                visualSeed: Math.floor(rng() * 4294967296)
+            };
+            
+            switch (tile.type) {
+                case TILE_TYPES.STAIRS:
+                    layoutStairs(tile);
+                    break;
+                case TILE_TYPES.MOVING:
+                    layoutMoving(tile);
+                    break;
+                case TILE_TYPES.CRUMBLING:
+                    layoutCrumbling(tile);
+                    break;
+                case TILE_TYPES.BOUNCE:
+                    layoutBounce(tile);
+                    break;
+                case TILE_TYPES.ICE:
+                    layoutIce(tile);
+                    break;
+                case TILE_TYPES.CONVEYOR:
+                    layoutConveyor(tile);
+                    break;
+                case TILE_TYPES.SPINNING:
+                    layoutSpinning(tile);
+                    break;
+                case TILE_TYPES.SEESAW:
+                    layoutSeesaw(tile);
+                    break;
+                case TILE_TYPES.ORBITING:
+                    layoutOrbiting(tile);
+                    break;
+                case TILE_TYPES.ELEVATOR:
+                    layoutElevator(tile);
+                    break;
+                case TILE_TYPES.RAMP:
+                    layoutRamp(tile);
+                    break;
+                case TILE_TYPES.CHECKPOINT:
+                    layoutCheckpoint(tile);
+                    break;
+                default:
+                    layoutPlatform(tile);
+            }
+            
+            // An elevator spans a taller gap: its top stop is a full lift above the previous tile
+            if (tile.type === TILE_TYPES.ELEVATOR) {
+                height += ELEVATOR_LIFT - TILE_HEIGHT_SPACING;
+                tile.y = height;
+            }
+            
+            // Sometimes a gadget helps the player across from the previous tile
+            if (lastTile && difficulty >= 2 &&
+                GADGET_ANCHOR_TYPES.includes(lastTile.type) && GADGET_ANCHOR_TYPES.includes(tile.type) &&
+                rng() < GADGET_CHANCE) {
+                layoutGadget(tile);
+            }
+            
+            // Collectibles only go where they stay put
+            if (!MOVING_TILE_TYPES.includes(tile.type)) {
+                layoutCollectibles(tile);
+            }
+            
+            // Hazards need a tile that stays where it is
+            if (HAZARD_TILE_TYPES.includes(tile.type)) {
+                layoutHazard(tile);
+            }
+            
+            // Drones fly round tiles that stay put, away from checkpoints
+            if (!MOVING_TILE_TYPES.includes(tile.type) && tile.type !== TILE_TYPES.CHECKPOINT) {
+                layoutDrone(tile);
+            }
+            
+            lastTile = tile;
+            
+            return tile;
+        }
+        
+        return {
+            seed,
+            next
+        };
+    }
+    
+    const tower = {
+        TILE_TYPES,
+        GADGET_TYPES,
+        COLLECTIBLE_TYPES,
+        POWER_UP_TYPES,
+        HAZARD_TYPES,
+        DRONE_TYPES,
+        TILE_SIZE,
+        TILE_HEIGHT_SPACING,
+        ELEVATOR_LIFT,
+        ELEVATOR_MIN_TRAVEL_TIME,
+        ZIPLINE_HANG_HEIGHT,
+        CHECKPOINT_INTERVAL,
+        COIN_COUNT,
+        getCrumbleEndTime,
+        createTowerGenerator
+    };
+    
+    // Export for Node.js (server) or the browser
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = tower;
+    } else {
+        root.tower = tower;
+    }
+})(typeof window !== 'undefined' ? window : this);
@@ -9,6 +9,9 @@
 let scoreElement;
 let healthElement;
 let heightElement;
+let collectedElement;
+let powerUpsElement;
+let floodElement;
 let gameOverScreen;
 let uiContainer;
 let controlsInfo;
@@ -30,6 +33,7 @@ let showFps = false;
 let lastFrameTime = 0;
 let uiFrameCount = 0;
 let fps = 0;
+let powerUpsHtml = ''; // What the power-ups list shows, to skip redrawing it when nothing changed
 
 // Height milestones for bonus points
 const heightMilestones = [10, 25, 50, 100, 200, 300, 500, 750, 1000];
@@ -243,6 +247,30 @@ function createUIContainer() {
             color: #9b59b6;
         }
         
+        #collected {
+            border-left-color: #e67e22;
+        }
+        
+        #collected span:first-child {
+            color: #e67e22;
+        }
+        
+        #flood {
+            border-left-color: #e74c3c;
+        }
+        
+        #flood span:first-child {
+            color: #e74c3c;
+        }
+        
+        .game-info.power-up {
+            border-left-color: #1abc9c;
+        }
+        
+        .game-info.power-up span:first-child {
+            color: #1abc9c;
+        }
+        
         /* Health Bar */
         .health-bar {
             width: 140px;
@@ -335,6 +363,42 @@ function createUIContainer() {
             text-shadow: 0 2px 4px rgba(0, 0, 0, 0.5);
         }
         
+        #leaderboard-results {
+            min-width: 320px;
+            margin-bottom: 30px;
+            font-size: 16px;
+            text-align: center;
+        }
+        
+        .leaderboard-summary {
+            margin-bottom: 12px;
+            color: #f1c40f;
+        }
+        
+        .leaderboard-list {
+            list-style: none;
+            margin: 0;
+            padding: 0;
+        }
+        
+        .leaderboard-list li {
+            display: flex;
+            justify-content: space-between;
+            gap: 16px;
+            padding: 6px 12px;
+            border-radius: 4px;
+        }
+        
+        .leaderboard-list li.current {
+            background-color: rgba(46, 204, 113, 0.3);
+            font-weight: bold;
+        }
+        
+        .leaderboard-name {
+            flex: 1;
+            text-align: left;
+        }
+        
         #game-over-screen button {
             padding: 15px 30px;
             font-size: 20px;
@@ -360,6 +424,80 @@ function createUIContainer() {
             box-shadow: 0 2px 4px rgba(0, 0, 0, 0.3);
         }
         
+        #replay-buttons {
+            display: flex;
+            gap: 10px;
+            margin-top: 15px;
+        }
+        
+        #replay-buttons button {
+            padding: 10px 20px;
+            font-size: 16px;
+            background-color: #3498db;
+        }
+        
+        #replay-buttons button:hover {
+            background-color: #2980b9;
+        }
+        
+        /* Game Mode Picker */
+        #mode-picker {
+            position: absolute;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background-color: rgba(0, 0, 0, 0.8);
+            backdrop-filter: blur(5px);
+            display: flex;
+            flex-direction: column;
+            justify-content: center;
+            align-items: center;
+            gap: 15px;
+            color: white;
+            font-family: 'Arial', sans-serif;
+            z-index: 1000;
+        }
+        
+        #mode-picker h1 {
+            font-size: 48px;
+            margin-bottom: 20px;
+            color: #2ecc71;
+            text-shadow: 0 0 10px rgba(46, 204, 113, 0.7);
+        }
+        
+        #mode-picker button {
+            width: 360px;
+            padding: 15px 30px;
+            background-color: #2ecc71;
+            color: white;
+            border: none;
+            border-radius: 8px;
+            cursor: pointer;
+            transition: all 0.3s ease;
+            box-shadow: 0 4px 8px rgba(0, 0, 0, 0.3);
+            text-align: left;
+        }
+        
+        #mode-picker button:hover {
+            background-color: #27ae60;
+            transform: translateY(-3px);
+            box-shadow: 0 6px 12px rgba(0, 0, 0, 0.4);
+        }
+        
+        .mode-name {
+            display: block;
+            font-size: 20px;
+            font-weight: bold;
+            letter-spacing: 1px;
+        }
+        
+        .mode-description {
+            display: block;
+            margin-top: 5px;
+            font-size: 14px;
+        }
+        
         /* Controls Info Panel */
         #controls-info {
             position: absolute;
@@ -459,6 +597,16 @@ function createUIContainer() {
             border-left-color: #2980b9;
         }
         
+        .notification.checkpoint {
+            background-color: rgba(241, 196, 15, 0.9);
+            border-left-color: #d4ac0d;
+        }
+        
+        .notification.power-up {
+            background-color: rgba(26, 188, 156, 0.9);
+            border-left-color: #16a085;
+        }
+        
         /* FPS Counter */
         #fps-counter {
             position: absolute;
@@ -545,6 +693,26 @@ function createGameInfoElements() {
     heightElement.innerHTML = `<span>Height:</span> <span id="height-value">0</span>m`;
     uiContainer.appendChild(heightElement);
     
+    // Create collected element
+    collectedElement = document.createElement('div');
+    collectedElement.id = 'collected';
+    collectedElement.className = 'game-info';
+    collectedElement.innerHTML = `<span>Collected:</span> <span id="collected-value">0</span>`;
+    uiContainer.appendChild(collectedElement);
+    
+    // Create flood distance element (only shown in a flood run)
+    floodElement = document.createElement('div');
+    floodElement.id = 'flood';
+    floodElement.className = 'game-info';
+    floodElement.style.display = 'none';
+    floodElement.innerHTML = `<span>Flood:</span> <span id="flood-value">0</span>m below`;
+    uiContainer.appendChild(floodElement);
+    
+    // Create active power-ups list (one line per power-up, empty when none are running)
+    powerUpsElement = document.createElement('div');
+    powerUpsElement.id = 'power-ups';
+    uiContainer.appendChild(powerUpsElement);
+    
     // Create FPS counter (hidden by default)
     fpsCounter = document.createElement('div');
     fpsCounter.id = 'fps-counter';
@@ -601,6 +769,11 @@ function createGameOverScreen() {
     finalScore.id = 'final-score';
     gameOverScreen.appendChild(finalScore);
     
+    // Global leaderboard rank and nearby runs
+    const leaderboardResults = document.createElement('div');
+    leaderboardResults.id = 'leaderboard-results';
+    gameOverScreen.appendChild(leaderboardResults);
+    
     // Restart button
     const restartButton = document.createElement('button');
     restartButton.textContent = 'Restart Game';
@@ -610,9 +783,64 @@ function createGameOverScreen() {
     };
     gameOverScreen.appendChild(restartButton);
     
+    // Replay buttons: save the run that just ended, or watch a saved one
+    const replayButtons = document.createElement('div');
+    replayButtons.id = 'replay-buttons';
+    
+    const saveReplayButton = document.createElement('button');
+    saveReplayButton.textContent = 'Save Replay';
+    saveReplayButton.onclick = () => {
+        if (window.replay) {
+            window.replay.exportReplay();
+        }
+    };
+    replayButtons.appendChild(saveReplayButton);
+    
+    // Replay files are picked through a hidden file input
+    const replayInput = document.createElement('input');
+    replayInput.type = 'file';
+    replayInput.accept = '.json,application/json';
+    replayInput.style.display = 'none';
+    replayInput.onchange = () => {
+        const file = replayInput.files[0];
+        replayInput.value = '';
+        if (file) {
+            loadReplayFile(file);
+        }
+    };
+    replayButtons.appendChild(replayInput);
+    
+    const watchReplayButton = document.createElement('button');
+    watchReplayButton.textContent = 'Watch Replay';
+    watchReplayButton.onclick = () => replayInput.click();
+    replayButtons.appendChild(watchReplayButton);
+    
+    gameOverScreen.appendChild(replayButtons);
+    
     document.body.appendChild(gameOverScreen);
 }
 
+/**
+ * Read a saved replay file and start watching it
+ * @param {File} file - Replay file picked by the player
+ */
+function loadReplayFile(file) {
+    if (!window.replay) {
+        return;
+    }
+    
+    file.text()
+        .then(text => {
+            if (window.replay.loadReplay(text)) {
+                hideGameOver();
+            }
+        })
+        .catch(error => {
+            console.error('Error reading replay file:', error);
+            showNotification("Couldn't read that replay file", "warning");
+        });
+}
+
 /**
  * Handle keyboard events for UI
  */
@@ -708,6 +936,58 @@ function updateHealth(health) {
     }
 }
 
+/**
+ * Update the collected display
+ * @param {number} count - Collectibles picked up this run
+ */
+function updateCollected(count) {
+    const collectedValue = document.getElementById('collected-value');
+    if (collectedValue) {
+        collectedValue.textContent = count;
+    }
+}
+
+/**
+ * Update the distance to the flood below the player
+ * @param {number} distance - Metres between the player's feet and the flood's surface
+ */
+function updateFloodDistance(distance) {
+    if (!floodElement) return;
+    
+    floodElement.style.display = '';
+    const floodValue = document.getElementById('flood-value');
+    if (floodValue) {
+        floodValue.textContent = distance.toFixed(1);
+    }
+}
+
+/**
+ * Hide the distance to the flood (when the game mode has no flood)
+ */
+function hideFloodDistance() {
+    if (!floodElement) return;
+    
+    floodElement.style.display = 'none';
+}
+
+/**
+ * Update the active power-ups display
+ * @param {Array} powerUps - { label, remaining } of each active power-up, remaining in ms
+ */
+function updatePowerUps(powerUps) {
+    if (!powerUpsElement) return;
+    
+    // Whole seconds left, so the list only changes once a second
+    const html = powerUps.map(powerUp =>
+        `<div class="game-info power-up"><span>${powerUp.label}</span> <span>${Math.ceil(powerUp.remaining / 1000)}s</span></div>`
+    ).join('');
+    
+    if (html !== powerUpsHtml) {
+        powerUpsHtml = html;
+        powerUpsElement.innerHTML = html;
+    }
+}
+
 /**
  * Update the height display
  */
@@ -780,6 +1060,125 @@ function updateFPS(deltaTime) {
 function showGameOver(finalScore) {
     document.getElementById('final-score').textContent = `Final Score: ${finalScore}`;
     gameOverScreen.classList.add('visible');
+    
+    // A replay ending isn't a new run, so it isn't recorded or submitted
+    if (window.replay && window.replay.isPlaying()) {
+        document.getElementById('leaderboard-results').textContent = 'End of replay';
+        return;
+    }
+    
+    // Keep the recording of this run so it can be saved
+    if (window.replay) {
+        window.replay.stopRecording();
+    }
+    
+    // Submit the run to the global leaderboard
+    submitRunToLeaderboard();
+}
+
+/**
+ * Submit the finished run and show where it ranks
+ */
+function submitRunToLeaderboard() {
+    const results = document.getElementById('leaderboard-results');
+    if (!results) {
+        return;
+    }
+    
+    if (!window.leaderboard || !window.player || !window.player.getRunStats) {
+        results.textContent = '';
+        return;
+    }
+    
+    // The game mode decides what the run's results are, and it's only ranked against runs of the same mode
+    const run = Object.assign({}, window.gameModes ? window.gameModes.getResults() : window.player.getRunStats());
+    run.seed = window.tiles && window.tiles.getSeed ? window.tiles.getSeed() : 0;
+    run.mode = window.gameModes ? window.gameModes.getMode().id : 'endless';
+    
+    results.textContent = 'Submitting to leaderboard...';
+    
+    window.leaderboard.submitRun(run).then(ranks => {
+        if (!ranks) {
+            results.textContent = 'Leaderboard unavailable';
+            return;
+        }
+        
+        showLeaderboardResults(results, ranks);
+    });
+}
+
+/**
+ * Show a submitted run's ranks and the runs around it
+ * @param {HTMLElement} results - Container on the game over screen
+ * @param {Object} ranks - Response from leaderboard.submitRun
+ */
+function showLeaderboardResults(results, ranks) {
+    results.innerHTML = '';
+    
+    // Rank summary
+    const summary = document.createElement('div');
+    summary.className = 'leaderboard-summary';
+    summary.textContent = `Global rank #${ranks.overall.rank} of ${ranks.overall.total}` +
+        ` · Today #${ranks.daily.rank} of ${ranks.daily.total}` +
+        ` · This tower #${ranks.seed.rank} of ${ranks.seed.total}`;
+    results.appendChild(summary);
+    
+    // Runs around this one
+    const list = document.createElement('ol');
+    list.className = 'leaderboard-list';
+    
+    ranks.overall.surrounding.forEach(entry => {
+        const item = document.createElement('li');
+        if (entry.id === ranks.id) {
+            item.classList.add('current');
+        }
+        
+        const rank = document.createElement('span');
+        rank.className = 'leaderboard-rank';
+        rank.textContent = `#${entry.rank}`;
+        
+        const name = document.createElement('span');
+        name.className = 'leaderboard-name';
+        name.textContent = entry.name;
+        
+        const score = document.createElement('span');
+        score.className = 'leaderboard-score';
+        score.textContent = `${entry.score} (${Math.floor(entry.maxHeight)}m)`;
+        
+        item.appendChild(rank);
+        item.appendChild(name);
+        item.appendChild(score);
+        list.appendChild(item);
+    });
+    
+    results.appendChild(list);
+}
+
+/**
+ * Let the player pick a game mode before the game starts
+ * @param {Array} modes - Game modes to pick from (see modes.js)
+ * @param {Function} onPick - Called with the picked mode's id once the picker has closed
+ */
+function showModePicker(modes, onPick) {
+    const modePicker = document.createElement('div');
+    modePicker.id = 'mode-picker';
+    
+    const title = document.createElement('h1');
+    title.textContent = 'Choose a Mode';
+    modePicker.appendChild(title);
+    
+    // One button per mode, with its name and what it's about
+    modes.forEach(mode => {
+        const modeButton = document.createElement('button');
+        modeButton.innerHTML = `<span class="mode-name">${mode.name}</span><span class="mode-description">${mode.description}</span>`;
+        modeButton.onclick = () => {
+            document.body.removeChild(modePicker);
+            onPick(mode.id);
+        };
+        modePicker.appendChild(modeButton);
+    });
+    
+    document.body.appendChild(modePicker);
 }
 
 /**
@@ -796,6 +1195,8 @@ function resetUI() {
     updateScore(DEFAULT_SCORE);
     updateHealth(DEFAULT_HEALTH);
     updateHeight(DEFAULT_HEIGHT);
+    updateCollected(0);
+    updatePowerUps([]);
     hideGameOver();
     
     // Reset milestone tracking
@@ -961,8 +1362,13 @@ window.ui = {
     updateScore,
     updateHealth,
     updateHeight,
+    updateCollected,
+    updateFloodDistance,
+    hideFloodDistance,
+    updatePowerUps,
     showGameOver,
     hideGameOver,
+    showModePicker,
     resetUI,
     showNotification,
     showControls
@@ -0,0 +1,187 @@
+/**
+ * leaderboard-store.js - File-backed storage for the global leaderboard
+ *
+ * This file keeps finished runs in memory and appends every new run to a JSON
+ * log (one entry per line) that is replayed when the server starts. server.js
+ * exposes it through the /api/leaderboard REST routes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Configuration
+const DEFAULT_LIMIT = 10; // Entries returned when no limit is given
+const MAX_LIMIT = 100; // Most entries returned by one query
+const MAX_NAME_LENGTH = 16; // Longest player name kept
+const SURROUNDING_ENTRIES = 2; // Entries shown above and below a run's rank
+const DEFAULT_MODE = 'endless'; // Game mode of runs logged before there were modes (the endless climb)
+
+/**
+ * Get the UTC day (YYYY-MM-DD) of a timestamp, used for daily boards
+ * @param {number} timestamp - Milliseconds since the epoch
+ */
+function getDay(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * Clamp a requested number of entries
+ * @param {*} limit - Limit from a query string
+ */
+function parseLimit(limit) {
+    const value = parseInt(limit, 10);
+    if (!value || value < 1) {
+        return DEFAULT_LIMIT;
+    }
+    
+    return Math.min(value, MAX_LIMIT);
+}
+
+/**
+ * Order runs best first: highest score, then highest climb, then whoever got there first
+ */
+function compareEntries(a, b) {
+    return (b.score - a.score) || (b.maxHeight - a.maxHeight) || (a.timestamp - b.timestamp);
+}
+
+/**
+ * Get the fields of an entry that are shown to players, with its rank
+ */
+function toPublicEntry(entry, rank) {
+    return {
+        rank: rank,
+        id: entry.id,
+        name: entry.name,
+        score: entry.score,
+        maxHeight: entry.maxHeight,
+        duration: entry.duration,
+        seed: entry.seed,
+        mode: entry.mode || DEFAULT_MODE,
+        day: entry.day
+    };
+}
+
+/**
+ * Create a leaderboard store backed by a JSON log file
+ * @param {string} filePath - Path of the log file (created on the first submission)
+ */
+function createLeaderboardStore(filePath) {
+    const entries = [];
+    let nextEntryId = 1;
+    
+    // Replay the log
+    if (fs.existsSync(filePath)) {
+        const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+        
+        lines.forEach((line, index) => {
+            if (!line.trim()) {
+                return;
+            }
+            
+            try {
+                const entry = JSON.parse(line);
+                entries.push(entry);
+                nextEntryId = Math.max(nextEntryId, entry.id + 1);
+            } catch (error) {
+                // A half-written last line (crash while appending) shouldn't lose the rest
+                console.error(`Skipping unreadable leaderboard entry on line ${index + 1}:`, error.message);
+            }
+        });
+    }
+    
+    console.log(`Loaded ${entries.length} leaderboard entries from ${filePath}`);
+    
+    /**
+     * Get a board, best first
+     * @param {Object} [filter] - { day, seed, mode } to narrow the board
+     */
+    function getBoard(filter = {}) {
+        return entries
+            .filter(entry => filter.day === undefined || entry.day === filter.day)
+            .filter(entry => filter.seed === undefined || String(entry.seed) === String(filter.seed))
+            .filter(entry => filter.mode === undefined || (entry.mode || DEFAULT_MODE) === filter.mode)
+            .sort(compareEntries);
+    }
+    
+    /**
+     * Add a finished run and append it to the log
+     * @param {Object} run - { name, score, maxHeight, duration, seed, mode } (already validated)
+     * @returns {Object} Stored entry
+     */
+    function submit(run) {
+        const timestamp = Date.now();
+        const name = typeof run.name === 'string' ? run.name.trim().slice(0, MAX_NAME_LENGTH) : '';
+        
+        const entry = {
+            id: nextEntryId++,
+            name: name || 'Anonymous',
+            score: run.score,
+            maxHeight: run.maxHeight,
+            duration: run.duration,
+            seed: run.seed,
+            mode: run.mode || DEFAULT_MODE,
+            timestamp: timestamp,
+            day: getDay(timestamp)
+        };
+        
+        entries.push(entry);
+        
+        // Append to the log; the entry is already live in memory
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.appendFile(filePath, JSON.stringify(entry) + '\n', (error) => {
+            if (error) {
+                console.error('Error saving leaderboard entry:', error);
+            }
+        });
+        
+        return entry;
+    }
+    
+    /**
+     * Get the best entries of a board
+     * @param {Object} [filter] - { day, seed, mode } to narrow the board
+     * @param {*} [limit] - Number of entries
+     */
+    function getTop(filter, limit) {
+        return getBoard(filter)
+            .slice(0, parseLimit(limit))
+            .map((entry, index) => toPublicEntry(entry, index + 1));
+    }
+    
+    /**
+     * Get an entry's rank on a board and the entries around it
+     * @param {number} entryId - Entry to look up
+     * @param {Object} [filter] - { day, seed, mode } to narrow the board
+     * @returns {Object|null} { rank, total, surrounding } or null if the entry isn't on the board
+     */
+    function getRank(entryId, filter) {
+        const board = getBoard(filter);
+        const index = board.findIndex(entry => entry.id === entryId);
+        if (index === -1) {
+            return null;
+        }
+        
+        const start = Math.max(0, index - SURROUNDING_ENTRIES);
+        const surrounding = board
+            .slice(start, index + SURROUNDING_ENTRIES + 1)
+            .map((entry, offset) => toPublicEntry(entry, start + offset + 1));
+            
+        return {
+            rank: index + 1,
+            total: board.length,
+            surrounding: surrounding
+        };
+    }
+    
+    return {
+        submit,
+        getTop,
+        getRank,
+        getDay
+    };
+}
+
+module.exports = {
+    DEFAULT_MODE,
+    createLeaderboardStore
+};
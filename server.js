@@ -10,10 +10,62 @@ const express = require('express');
 const http = require('http');
 const WebSocket = require('ws');
 const path = require('path');
+const url = require('url');
+const random = require('./js/random');
+const {
+    createTowerGenerator,
+    TILE_TYPES,
+    COLLECTIBLE_TYPES,
+    POWER_UP_TYPES,
+    ELEVATOR_LIFT,
+    ELEVATOR_MIN_TRAVEL_TIME,
+    CHECKPOINT_INTERVAL,
+    TILE_HEIGHT_SPACING,
+    COIN_COUNT,
+    getCrumbleEndTime
+} = require('./js/tower');
+const protocol = require('./js/protocol');
+const movement = require('./js/movement');
+const scoring = require('./js/scoring');
+const { createLeaderboardStore, DEFAULT_MODE } = require('./leaderboard-store');
 
 // Configuration
 const PORT = process.env.PORT || 8080;
 const BROADCAST_INTERVAL = 33; // ~30 FPS
+const TOWER_SEED = parseSeed(process.env.TOWER_SEED); // Optional fixed seed for the shared tower
+const TOWER_INITIAL_TILES = 40; // Tiles sent to a client when it connects
+const TOWER_CHUNK_SIZE = 20; // Tiles sent per tower request
+const MAX_TOWER_TILES = 10000; // Upper bound on the generated tower length
+const LOBBY_CODE = 'LOBBY'; // Room every client joins when it doesn't ask for one
+const ROOM_CODE_LENGTH = 5; // Length of generated room codes
+const ROOM_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I to keep codes readable
+const ROOM_CODE_PATTERN = /^[A-Z0-9]{3,12}$/; // Codes clients may pick themselves
+const MAX_ROOM_NAME_LENGTH = 32; // Longest room name shown in room lists
+const SNAPSHOT_HISTORY = 32; // Snapshots kept per room as bases for binary deltas
+
+// Movement validation, derived from the limits the client plays by (movement.js)
+const MAX_HORIZONTAL_SPEED = Math.max(movement.MAX_VELOCITY, movement.DASH_FORCE); // Dashes go past the speed cap
+const MAX_ELEVATOR_SPEED = ELEVATOR_LIFT * Math.PI / (2 * ELEVATOR_MIN_TRAVEL_TIME); // Fastest elevator at mid-ride
+const MAX_RISE_SPEED = Math.max(movement.PLAYER_JUMP_FORCE, movement.PLAYER_DOUBLE_JUMP_FORCE, movement.WALL_JUMP_FORCE) +
+    MAX_ELEVATOR_SPEED; // Jumping off a rising elevator
+const MAX_FALL_SPEED = -movement.TERMINAL_VELOCITY;
+const MAX_JUMP_HEIGHT = [movement.PLAYER_JUMP_FORCE, movement.WALL_JUMP_FORCE, movement.PLAYER_DOUBLE_JUMP_FORCE]
+    .reduce((height, force) => height + force * force / (2 * -movement.GRAVITY), ELEVATOR_LIFT); // Elevator ride, then jump, wall jump and double jump in one go
+const MOVEMENT_LATENCY_ALLOWANCE = 0.25; // Extra seconds of movement allowed for network jitter
+const MOVEMENT_SLACK = 1; // Extra metres allowed on every check
+const RISE_RESET_TIME = 300; // ms without climbing before a new jump may start
+const POWER_UP_REACH = 5; // How far (m) from a power-up a client can be when it reports picking it up
+const VIOLATION_COOLDOWN = 500; // ms in which further violations count as the same one
+const VIOLATION_WINDOW = 30000; // ms over which violations are counted
+const FLAG_VIOLATIONS = 3; // Violations in the window before a client is flagged
+const KICK_VIOLATIONS = 10; // Violations in the window before a client is kicked
+const KICK_CLOSE_CODE = 4000; // WebSocket close code for kicked clients
+
+// Leaderboard
+const LEADERBOARD_FILE = process.env.LEADERBOARD_FILE || path.join(__dirname, 'data', 'leaderboard.jsonl');
+const MAX_SEED_LENGTH = 64; // Longest seed accepted with a run
+const MAX_COLLECTIBLE_SCORE_PER_TILE = Object.values(COLLECTIBLE_TYPES)
+    .reduce((total, type) => total + (type === COLLECTIBLE_TYPES.COIN ? COIN_COUNT : 1) * (scoring.COLLECTIBLE_REWARDS[type].score || 0), 0); // A coin trail, a gem, a health orb and a power-up
 
 // Create Express app
 const app = express();
@@ -21,6 +73,70 @@ const app = express();
 // Serve static files from the root directory
 app.use(express.static(path.join(__dirname)));
 
+// Global leaderboard, persisted to a JSON log
+const leaderboard = createLeaderboardStore(LEADERBOARD_FILE);
+
+// Allow the game to reach the API when index.html is served from elsewhere
+app.use('/api', (req, res, next) => {
+    res.set('Access-Control-Allow-Origin', '*');
+    res.set('Access-Control-Allow-Headers', 'Content-Type');
+    if (req.method === 'OPTIONS') {
+        res.sendStatus(204);
+        return;
+    }
+    next();
+});
+app.use('/api', express.json());
+
+// Submit a finished run; responds with its rank and the runs around it
+app.post('/api/leaderboard', (req, res) => {
+    const { run, error } = validateRun(req.body);
+    if (error) {
+        res.status(400).json({ error: error });
+        return;
+    }
+    
+    const entry = leaderboard.submit(run);
+    console.log(`Leaderboard: ${entry.name} scored ${entry.score} (height ${entry.maxHeight}, seed ${entry.seed}, ${entry.mode})`);
+    
+    // Runs are only ranked against runs of the same game mode
+    res.status(201).json({
+        id: entry.id,
+        overall: leaderboard.getRank(entry.id, { mode: entry.mode }),
+        daily: leaderboard.getRank(entry.id, { day: entry.day, mode: entry.mode }),
+        seed: leaderboard.getRank(entry.id, { seed: entry.seed, mode: entry.mode })
+    });
+});
+
+// Top runs of all time
+app.get('/api/leaderboard', (req, res) => {
+    const mode = parseMode(req.query.mode);
+    res.json({ mode: mode, entries: leaderboard.getTop({ mode: mode }, req.query.limit) });
+});
+
+// Top runs of a day (today by default, YYYY-MM-DD in UTC)
+app.get('/api/leaderboard/daily', (req, res) => {
+    const day = /^\d{4}-\d{2}-\d{2}$/.test(req.query.date || '') ? req.query.date : leaderboard.getDay(Date.now());
+    const mode = parseMode(req.query.mode);
+    res.json({ day: day, mode: mode, entries: leaderboard.getTop({ day: day, mode: mode }, req.query.limit) });
+});
+
+// Top runs on one tower seed
+app.get('/api/leaderboard/seed/:seed', (req, res) => {
+    const seed = parseSeed(req.params.seed);
+    const mode = parseMode(req.query.mode);
+    res.json({ seed: seed, mode: mode, entries: leaderboard.getTop({ seed: seed, mode: mode }, req.query.limit) });
+});
+
+// Bodies that can't be read (broken JSON, null, too large) get a JSON error instead of Express's HTML error page
+app.use('/api', (error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+        res.status(400).json({ error: 'Invalid JSON' });
+        return;
+    }
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Server error' });
+});
+
 // Create HTTP server using the Express app
 const server = http.createServer(app);
 
@@ -31,20 +147,802 @@ const wss = new WebSocket.Server({ server });
 const clients = new Map();
 let nextClientId = 1;
 
-// Store player positions
-const playerPositions = new Map();
+// Store rooms by code; each room has its own tower and broadcast loop
+const rooms = new Map();
+
+// Snapshot sequence numbers are unique across rooms, so an ack from a previous room never matches
+let nextSnapshotSeq = 1;
+
+/**
+ * Parse a seed from configuration, keeping numeric seeds numeric like the client does
+ * @param {string} [value] - Seed text
+ */
+function parseSeed(value) {
+    if (value === undefined || value === '') {
+        return undefined;
+    }
+    
+    return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+}
+
+/**
+ * Get the most a run that climbed to a height can score
+ * @param {number} maxHeight - Highest point reached (m)
+ */
+function getMaxRunScore(maxHeight) {
+    // Collectibles on every tile up to the one just above the height reached (they hover over the tile tops)
+    const tiles = Math.floor(maxHeight / TILE_HEIGHT_SPACING) + 2;
+    
+    return Math.floor(maxHeight * scoring.SCORE_HEIGHT_MULTIPLIER) +
+        Math.floor(maxHeight / scoring.SCORE_TILE_HEIGHT) * scoring.SCORE_TILE_BONUS +
+        tiles * MAX_COLLECTIBLE_SCORE_PER_TILE;
+}
+
+/**
+ * Check a submitted run
+ * @param {Object} body - Request body
+ * @returns {Object} { run } or { error }
+ */
+function validateRun(body) {
+    if (!body || typeof body !== 'object') {
+        return { error: 'Missing run' };
+    }
+    
+    const score = Number(body.score);
+    const maxHeight = Number(body.maxHeight);
+    const duration = Number(body.duration);
+    
+    if (!Number.isInteger(score) || score < 0) {
+        return { error: 'Invalid score' };
+    }
+    if (!isFinite(maxHeight) || maxHeight < 0 || !isFinite(duration) || duration <= 0) {
+        return { error: 'Invalid height or duration' };
+    }
+    if (body.name !== undefined && typeof body.name !== 'string') {
+        return { error: 'Invalid name' };
+    }
+    if (body.mode !== undefined && !scoring.GAME_MODES.includes(body.mode)) {
+        return { error: 'Invalid mode' };
+    }
+    if ((typeof body.seed !== 'number' && typeof body.seed !== 'string') || String(body.seed).length === 0 || String(body.seed).length > MAX_SEED_LENGTH) {
+        return { error: 'Invalid seed' };
+    }
+    
+    // Nobody climbs faster than they can jump
+    if (maxHeight > MAX_RISE_SPEED * duration + MAX_JUMP_HEIGHT) {
+        return { error: 'Impossible height for the run duration' };
+    }
+    
+    // Nor scores more than the climb, its tile bonuses and every collectible on the way up are worth
+    if (score > getMaxRunScore(maxHeight)) {
+        return { error: 'Impossible score for the run height' };
+    }
+    
+    return {
+        run: {
+            name: body.name,
+            score: score,
+            maxHeight: Math.round(maxHeight * 10) / 10,
+            duration: Math.round(duration * 10) / 10,
+            seed: typeof body.seed === 'string' ? parseSeed(body.seed) : body.seed,
+            mode: body.mode || DEFAULT_MODE
+        }
+    };
+}
+
+/**
+ * Read the game mode of a leaderboard query; boards without one are the endless climb's
+ * @param {*} mode - Mode from a query string
+ */
+function parseMode(mode) {
+    return scoring.GAME_MODES.includes(mode) ? mode : DEFAULT_MODE;
+}
+
+/**
+ * Create a shared tower
+ * @param {number|string} seed - Tower seed
+ */
+function createTower(seed) {
+    console.log(`Creating shared tower with seed ${seed}`);
+    
+    return {
+        seed,
+        epoch: Date.now(), // Start of the tower clock that drives moving tiles
+        generator: createTowerGenerator(seed),
+        tiles: [], // Tile descriptors generated so far
+        crumbled: new Map() // Tower time (s) each crumbling tile was stepped on, by index
+    };
+}
+
+/**
+ * Get the current time on a tower's clock
+ * @param {Object} tower - Shared tower
+ * @returns {number} Tower time in seconds
+ */
+function getTowerTime(tower) {
+    return (Date.now() - tower.epoch) / 1000;
+}
+
+/**
+ * Check whether a tile that was stepped on is still crumbling or gone (not rebuilt yet)
+ * @param {Object} tower - Shared tower
+ * @param {number} index - Tower index of the tile
+ */
+function isCrumbling(tower, index) {
+    return tower.crumbled.has(index) &&
+        getTowerTime(tower) < getCrumbleEndTime(tower.tiles[index], tower.crumbled.get(index));
+}
+
+/**
+ * Forget crumbles whose tiles have been rebuilt, so rooms that never close (the lobby) don't pile them up
+ * @param {Object} tower - Shared tower
+ */
+function pruneCrumbles(tower) {
+    tower.crumbled.forEach((at, index) => {
+        if (!isCrumbling(tower, index)) {
+            tower.crumbled.delete(index);
+        }
+    });
+}
+
+/**
+ * Get a range of tile descriptors, generating the tower as far as needed
+ * @param {Object} tower - Shared tower
+ * @param {number} from - Index of the first tile
+ * @param {number} count - Number of tiles
+ */
+function getTowerTiles(tower, from, count) {
+    // Never skip ahead of what has been generated, so requests can't force huge towers
+    const start = Math.max(0, Math.min(from, tower.tiles.length));
+    const end = Math.min(start + count, MAX_TOWER_TILES);
+    
+    while (tower.tiles.length < end) {
+        tower.tiles.push(tower.generator.next());
+    }
+    
+    return { from: start, tiles: tower.tiles.slice(start, end) };
+}
+
+/**
+ * Send the shared tower layout to a client
+ * @param {WebSocket} socket - Client socket
+ * @param {Object} tower - Room tower
+ */
+function sendTower(socket, tower) {
+    const { tiles } = getTowerTiles(tower, 0, TOWER_INITIAL_TILES);
+    pruneCrumbles(tower);
+    
+    socket.send(JSON.stringify({
+        type: 'tower',
+        seed: tower.seed,
+        epoch: tower.epoch,
+        serverTime: Date.now(),
+        tiles: tiles,
+        crumbled: Array.from(tower.crumbled, ([index, at]) => ({ index, at }))
+    }));
+}
+
+/**
+ * Send a message to a single client if its socket is open
+ * @param {WebSocket} socket - Client socket
+ * @param {Object} message - Message to send
+ */
+function sendMessage(socket, message) {
+    if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * Send a message to every client in a room
+ * @param {Object} room - Room to broadcast to
+ * @param {Object} message - Message to send
+ * @param {number} [exceptId] - Client to leave out (usually the sender)
+ */
+function broadcastToRoom(room, message, exceptId) {
+    const data = JSON.stringify(message);
+    
+    room.clients.forEach((id) => {
+        const client = clients.get(id);
+        if (id !== exceptId && client && client.ws.readyState === WebSocket.OPEN) {
+            client.ws.send(data);
+        }
+    });
+}
+
+/**
+ * Generate a room code that isn't in use yet
+ */
+function generateRoomCode() {
+    let code;
+    do {
+        code = '';
+        for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+            code += ROOM_CODE_CHARS[Math.floor(Math.random() * ROOM_CODE_CHARS.length)];
+        }
+    } while (rooms.has(code));
+    
+    return code;
+}
+
+/**
+ * Normalize a room code sent by a client
+ * @param {*} code - Code from a message or URL
+ * @returns {string|null} Upper-case code, or null if it isn't a valid code
+ */
+function normalizeRoomCode(code) {
+    if (typeof code !== 'string') {
+        return null;
+    }
+    
+    const normalized = code.trim().toUpperCase();
+    return ROOM_CODE_PATTERN.test(normalized) ? normalized : null;
+}
+
+/**
+ * Create a room with its own tower and broadcast loop
+ * @param {string} code - Room code
+ * @param {Object} [options] - Room name and tower seed
+ */
+function createRoom(code, options = {}) {
+    const name = typeof options.name === 'string' && options.name.trim()
+        ? options.name.trim().slice(0, MAX_ROOM_NAME_LENGTH)
+        : code;
+    const seed = options.seed !== undefined ? options.seed : random.randomSeed();
+    
+    const room = {
+        code,
+        name,
+        tower: createTower(seed),
+        clients: new Set(), // IDs of the clients in this room
+        snapshots: new Map(), // Recent snapshots (seq -> player states) for binary deltas
+        broadcastTimer: null
+    };
+    
+    // Broadcast this room's player positions at regular intervals
+    room.broadcastTimer = setInterval(() => broadcastPositions(room), BROADCAST_INTERVAL);
+    
+    rooms.set(code, room);
+    console.log(`Room ${code} created. Total rooms: ${rooms.size}`);
+    
+    return room;
+}
+
+/**
+ * Stop a room's broadcast loop and forget it
+ * @param {Object} room - Room to close
+ */
+function closeRoom(room) {
+    clearInterval(room.broadcastTimer);
+    rooms.delete(room.code);
+    console.log(`Room ${room.code} closed. Total rooms: ${rooms.size}`);
+}
+
+/**
+ * Move a client into a room, leaving the room it was in
+ * @param {number} clientId - Client to move
+ * @param {Object} room - Room to join
+ */
+function joinRoom(clientId, room) {
+    const client = clients.get(clientId);
+    if (!client) {
+        return;
+    }
+    
+    // Leave the current room first
+    if (client.room) {
+        leaveRoom(clientId);
+    }
+    
+    client.room = room;
+    client.ackSeq = 0; // Acks from the old room mean nothing here
+    resetMovement(client); // The client starts over in the new tower
+    room.clients.add(clientId);
+    console.log(`Client ${clientId} joined room ${room.code} (${room.clients.size} players)`);
+    
+    // Tell the client where it is, then send this room's tower
+    sendMessage(client.ws, {
+        type: 'roomJoined',
+        code: room.code,
+        name: room.name,
+        players: room.clients.size
+    });
+    sendTower(client.ws, room.tower);
+}
+
+/**
+ * Remove a client from its room, closing the room once it is empty
+ * @param {number} clientId - Client to remove
+ */
+function leaveRoom(clientId) {
+    const client = clients.get(clientId);
+    if (!client || !client.room) {
+        return;
+    }
+    
+    const room = client.room;
+    room.clients.delete(clientId);
+    client.room = null;
+    console.log(`Client ${clientId} left room ${room.code} (${room.clients.size} players)`);
+    
+    // The lobby always stays open
+    if (room.clients.size === 0 && room.code !== LOBBY_CODE) {
+        closeRoom(room);
+    }
+}
+
+/**
+ * Get a summary of the open rooms
+ */
+function getRoomList() {
+    return Array.from(rooms.values()).map((room) => ({
+        code: room.code,
+        name: room.name,
+        players: room.clients.size
+    }));
+}
+
+/**
+ * Get a room by code, creating it if nobody has opened it yet
+ * @param {string} code - Room code
+ */
+function getOrCreateRoom(code) {
+    return rooms.get(code) || createRoom(code);
+}
+
+/**
+ * Broadcast the positions of a room's players to everyone in that room
+ * @param {Object} room - Room to broadcast
+ */
+function broadcastPositions(room) {
+    if (room.clients.size === 0) {
+        return;
+    }
+    
+    // Collect the positions of the players in this room
+    const positions = {};
+    const states = new Map();
+    
+    room.clients.forEach((id) => {
+        const client = clients.get(id);
+        if (client) {
+            positions[id] = client.position;
+            states.set(id, protocol.quantizeState(client.position));
+        }
+    });
+    
+    // Remember this snapshot so later ones can be sent as deltas against it
+    const seq = nextSnapshotSeq++;
+    room.snapshots.set(seq, states);
+    if (room.snapshots.size > SNAPSHOT_HISTORY) {
+        room.snapshots.delete(room.snapshots.keys().next().value);
+    }
+    
+    // Encode once per format (and per acked base for binary clients)
+    let jsonMessage = null;
+    const binaryMessages = new Map();
+    
+    room.clients.forEach((id) => {
+        const client = clients.get(id);
+        if (!client || client.ws.readyState !== WebSocket.OPEN) {
+            return;
+        }
+        
+        if (client.format === protocol.FORMATS.BINARY) {
+            // Delta against the last snapshot this client acknowledged, or a full snapshot
+            const baseSeq = room.snapshots.has(client.ackSeq) ? client.ackSeq : 0;
+            if (!binaryMessages.has(baseSeq)) {
+                binaryMessages.set(baseSeq, protocol.encodeSnapshot(seq, states, baseSeq, room.snapshots.get(baseSeq)));
+            }
+            client.ws.send(binaryMessages.get(baseSeq));
+        } else {
+            if (!jsonMessage) {
+                jsonMessage = JSON.stringify({
+                    type: 'positions',
+                    positions: positions
+                });
+            }
+            client.ws.send(jsonMessage);
+        }
+    });
+}
+
+/**
+ * Reset a client's movement tracking (new room or fresh start)
+ * @param {Object} client - Client to reset
+ */
+function resetMovement(client) {
+    client.movement = {
+        position: null, // Last accepted position
+        time: 0, // When it was accepted
+        riseBaseY: 0, // Height the current jump started from
+        lastRiseTime: 0, // Last time the client climbed
+        highestY: 0, // Highest accepted height, so only checkpoints already climbed to are respawn points
+        jetpackUntil: 0, // When the client's jetpack runs out; until then a climb isn't limited to a jump
+        usedPowerUps: new Set(), // Power-ups ('index:slot') already picked up this run, each only counts once
+        violations: [], // Times of recent violations
+        flagged: false
+    };
+}
+
+/**
+ * Check whether a position is standing on a spawn point
+ * @param {Object} position - Position to check
+ * @param {Object} spawn - { x, y, z } top of the spawn point
+ */
+function isOnSpawn(position, spawn) {
+    return Math.abs(position.x - spawn.x) <= MOVEMENT_SLACK &&
+        Math.abs(position.z - spawn.z) <= MOVEMENT_SLACK &&
+        Math.abs(position.y - spawn.y - movement.PLAYER_HEIGHT) <= MOVEMENT_SLACK;
+}
+
+/**
+ * Check whether a position is where players (re)spawn: the bottom of the tower, or a
+ * checkpoint no higher than the client has climbed
+ * @param {Object} position - Position to check
+ * @param {Array} tiles - Tower tile descriptors
+ * @param {number} highestY - Highest the client has been
+ */
+function isSpawnPosition(position, tiles, highestY) {
+    if (isOnSpawn(position, { x: 0, y: 0, z: 0 })) {
+        return true;
+    }
+    
+    for (let index = CHECKPOINT_INTERVAL; index < tiles.length; index += CHECKPOINT_INTERVAL) {
+        const tile = tiles[index];
+        const top = tile.y + tile.height / 2;
+        if (top > highestY + MOVEMENT_SLACK) {
+            break;
+        }
+        if (tile.type === TILE_TYPES.CHECKPOINT && isOnSpawn(position, { x: tile.x, y: top, z: tile.z })) {
+            return true;
+        }
+    }
+    
+    return false;
+}
+
+/**
+ * Check a position against what the client could have reached since its last one
+ * @param {Object} client - Client that sent the position
+ * @param {Object} position - Position from the client
+ * @returns {Object} { position, violation } with the position clamped to what is possible
+ */
+function validateMovement(client, position) {
+    const state = client.movement;
+    const now = Date.now();
+    const accepted = {
+        x: Number(position.x),
+        y: Number(position.y),
+        z: Number(position.z),
+        rotation: Number(position.rotation) || 0,
+        animation: typeof position.animation === 'string' ? position.animation : 'idle'
+    };
+    
+    // Garbage can't be clamped; keep the last position
+    if (!isFinite(accepted.x) || !isFinite(accepted.y) || !isFinite(accepted.z)) {
+        return { position: state.position || client.position, violation: 'invalid position' };
+    }
+    
+    let violation = null;
+    const jetpack = now < state.jetpackUntil + MOVEMENT_LATENCY_ALLOWANCE * 1000;
+    
+    if (state.position) {
+        const last = state.position;
+        const allowance = (now - state.time) / 1000 + MOVEMENT_LATENCY_ALLOWANCE;
+        const dy = accepted.y - last.y;
+        
+        // Respawns (after a fall or restart) are always allowed: back at a spawn point (the bottom or a checkpoint),
+        // or dropping faster than falling allows
+        if (isSpawnPosition(accepted, client.room.tower.tiles, state.highestY) ||
+            dy < -(MAX_FALL_SPEED * allowance + MOVEMENT_SLACK)) {
+            // Back at the bottom is where a restart starts, with every power-up built again
+            if (isOnSpawn(accepted, { x: 0, y: 0, z: 0 })) {
+                state.usedPowerUps.clear();
+            }
+            return acceptMovement(state, accepted, now, true);
+        }
+        
+        // Horizontal speed
+        const dx = accepted.x - last.x;
+        const dz = accepted.z - last.z;
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        const maxDistance = MAX_HORIZONTAL_SPEED * allowance + MOVEMENT_SLACK;
+        if (distance > maxDistance) {
+            accepted.x = last.x + dx * maxDistance / distance;
+            accepted.z = last.z + dz * maxDistance / distance;
+            violation = 'moving too fast';
+        }
+        
+        // Climbing speed
+        const maxRise = MAX_RISE_SPEED * allowance + MOVEMENT_SLACK;
+        if (dy > maxRise) {
+            accepted.y = last.y + maxRise;
+            violation = 'climbing too fast';
+        }
+        
+        // Height gained in one jump (a jetpack can keep climbing)
+        const maxY = state.riseBaseY + MAX_JUMP_HEIGHT + MOVEMENT_SLACK;
+        if (accepted.y > maxY && !jetpack) {
+            accepted.y = Math.max(maxY, last.y);
+            violation = 'jumping too high';
+        }
+    }
+    
+    // Nobody can be higher than a jump above the top of the tower
+    const tiles = client.room.tower.tiles;
+    const towerTop = (tiles.length > 0 ? tiles[tiles.length - 1].y : 0) + MAX_JUMP_HEIGHT + MOVEMENT_SLACK;
+    if (accepted.y > towerTop) {
+        accepted.y = state.position ? Math.min(state.position.y, towerTop) : 0;
+        violation = 'above the tower';
+    }
+    
+    // On a jetpack every position starts a new climb, so the first jump after it runs out counts from there
+    const result = acceptMovement(state, accepted, now, !state.position || jetpack, Boolean(violation));
+    result.violation = violation;
+    return result;
+}
+
+/**
+ * Store an accepted position and update jump tracking
+ * @param {Object} state - Client movement state
+ * @param {Object} position - Accepted position
+ * @param {number} now - Current time
+ * @param {boolean} reset - Whether this starts fresh (first position or respawn)
+ * @param {boolean} [clamped] - Whether the position was clamped (a clamped climb still counts as climbing)
+ */
+function acceptMovement(state, position, now, reset, clamped) {
+    if (reset || position.y < state.riseBaseY) {
+        // Starting over, or below where the jump started: jumps count from here
+        state.riseBaseY = position.y;
+        state.lastRiseTime = now;
+    } else if (position.y > state.position.y || clamped) {
+        state.lastRiseTime = now;
+    } else if (now - state.lastRiseTime > RISE_RESET_TIME) {
+        // Not climbing for a while, so standing or falling; the next jump starts here
+        state.riseBaseY = position.y;
+    }
+    
+    state.position = position;
+    state.time = now;
+    state.highestY = Math.max(state.highestY, position.y);
+    
+    return { position, violation: null };
+}
+
+/**
+ * Record a movement violation, flagging and kicking repeat offenders
+ * @param {number} clientId - Offending client
+ * @param {string} violation - What was wrong
+ */
+function recordViolation(clientId, violation) {
+    const client = clients.get(clientId);
+    const state = client.movement;
+    const now = Date.now();
+    
+    // Tell the client where the server has it, so an honest client gets back in step
+    if (state.position) {
+        sendMessage(client.ws, {
+            type: 'correction',
+            position: state.position
+        });
+    }
+    
+    // Positions sent before the correction arrives break the same rule; count them once
+    const lastViolation = state.violations[state.violations.length - 1];
+    if (lastViolation !== undefined && now - lastViolation < VIOLATION_COOLDOWN) {
+        return;
+    }
+    
+    state.violations = state.violations.filter(time => now - time < VIOLATION_WINDOW);
+    state.violations.push(now);
+    console.warn(`Client ${clientId} movement violation: ${violation} (${state.violations.length} recent)`);
+    
+    if (state.violations.length >= KICK_VIOLATIONS) {
+        console.warn(`Kicking client ${clientId} for repeated movement violations`);
+        sendMessage(client.ws, {
+            type: 'kicked',
+            reason: 'Too many invalid movements'
+        });
+        client.ws.close(KICK_CLOSE_CODE, 'Movement validation failed');
+    } else if (state.violations.length >= FLAG_VIOLATIONS && !state.flagged) {
+        state.flagged = true;
+        console.warn(`Client ${clientId} flagged for repeated movement violations`);
+    }
+}
+
+/**
+ * Validate and store a position sent by a client
+ * @param {number} clientId - Sender
+ * @param {Object} position - Position from the client
+ */
+function updateClientPosition(clientId, position) {
+    const client = clients.get(clientId);
+    if (!position || typeof position !== 'object') {
+        return;
+    }
+    
+    const result = validateMovement(client, position);
+    client.position = result.position;
+    
+    if (result.violation) {
+        recordViolation(clientId, result.violation);
+    }
+}
+
+/**
+ * Handle a binary message from a client
+ * @param {number} clientId - Sender
+ * @param {ArrayBuffer} buffer - Message
+ */
+function handleBinaryMessage(clientId, buffer) {
+    const client = clients.get(clientId);
+    
+    switch (protocol.getMessageType(buffer)) {
+        case protocol.MESSAGE_TYPES.POSITION: {
+            const message = protocol.decodePosition(buffer);
+            if (message) {
+                client.ackSeq = message.ack;
+                updateClientPosition(clientId, message.position);
+            }
+            break;
+        }
+        
+        default:
+            console.log(`Unknown binary message from client ${clientId}`);
+    }
+}
+
+/**
+ * Handle a message from a client
+ * @param {number} clientId - Sender
+ * @param {Object} data - Parsed message
+ */
+function handleClientMessage(clientId, data) {
+    const client = clients.get(clientId);
+    const room = client.room;
+    
+    switch (data.type) {
+        case 'hello': {
+            // Use the binary protocol if the client speaks it, JSON otherwise
+            const formats = Array.isArray(data.formats) ? data.formats : [];
+            client.format = formats.includes(protocol.FORMATS.BINARY) ? protocol.FORMATS.BINARY : protocol.FORMATS.JSON;
+            client.ackSeq = 0;
+            
+            sendMessage(client.ws, {
+                type: 'protocol',
+                format: client.format
+            });
+            console.log(`Client ${clientId} is using the ${client.format} protocol`);
+            break;
+        }
+        
+        case 'position':
+            // Update the client's position, within what it could have reached
+            updateClientPosition(clientId, data.position);
+            break;
+            
+        case 'towerRequest': {
+            // Stream the next chunk of this room's tower
+            const chunk = getTowerTiles(room.tower, Number(data.from) || 0, TOWER_CHUNK_SIZE);
+            sendMessage(client.ws, {
+                type: 'towerTiles',
+                from: chunk.from,
+                tiles: chunk.tiles
+            });
+            break;
+        }
+        
+        case 'crumble': {
+            // Only tiles that exist and are crumbling tiles can crumble
+            const index = Number(data.index);
+            const tile = room.tower.tiles[index];
+            pruneCrumbles(room.tower);
+            if (tile && tile.type === TILE_TYPES.CRUMBLING && !room.tower.crumbled.has(index)) {
+                const at = getTowerTime(room.tower);
+                room.tower.crumbled.set(index, at);
+                
+                // Tell everyone else in the room, with the tower time so they see it go and come back together
+                broadcastToRoom(room, { type: 'crumble', index: index, at: at }, clientId);
+            }
+            break;
+        }
+        
+        case 'powerUp': {
+            // Only power-ups that exist, reported by a client close to them, count, and each only once a run
+            const tile = room.tower.tiles[Number(data.index)];
+            const collectible = tile && tile.collectibles && tile.collectibles[Number(data.slot)];
+            const position = client.movement.position;
+            const key = `${Number(data.index)}:${Number(data.slot)}`;
+            if (!collectible || collectible.type !== COLLECTIBLE_TYPES.POWER_UP || !position || client.movement.usedPowerUps.has(key)) {
+                break;
+            }
+            
+            const dx = position.x - collectible.x;
+            const dy = position.y - collectible.y;
+            const dz = position.z - collectible.z;
+            if (Math.sqrt(dx * dx + dy * dy + dz * dz) > POWER_UP_REACH) {
+                break;
+            }
+            client.movement.usedPowerUps.add(key);
+            
+            // Only the jetpack climbs further than the movement checks allow
+            if (collectible.powerUp === POWER_UP_TYPES.JETPACK) {
+                client.movement.jetpackUntil = Date.now() + movement.JETPACK_DURATION;
+            }
+            break;
+        }
+        
+        case 'listRooms':
+            sendMessage(client.ws, {
+                type: 'roomList',
+                rooms: getRoomList()
+            });
+            break;
+            
+        case 'createRoom':
+            // Make a new room with a fresh code and move the client into it
+            joinRoom(clientId, createRoom(generateRoomCode(), {
+                name: data.name,
+                seed: parseSeed(data.seed !== undefined ? String(data.seed) : undefined)
+            }));
+            break;
+            
+        case 'joinRoom': {
+            const code = normalizeRoomCode(data.code);
+            if (!code) {
+                sendMessage(client.ws, {
+                    type: 'roomError',
+                    message: 'Invalid room code'
+                });
+            } else if (code !== room.code) {
+                joinRoom(clientId, getOrCreateRoom(code));
+            }
+            break;
+        }
+        
+        case 'leaveRoom':
+            // Leaving a room puts the client back in the lobby
+            if (room.code !== LOBBY_CODE) {
+                sendMessage(client.ws, { type: 'roomLeft', code: room.code });
+                joinRoom(clientId, rooms.get(LOBBY_CODE));
+            }
+            break;
+            
+        default:
+            console.log(`Unknown message type from client ${clientId}: ${data.type}`);
+    }
+}
+
+/**
+ * Remove a disconnected client from its room and the client list
+ * @param {number} clientId - Client to remove
+ */
+function removeClient(clientId) {
+    leaveRoom(clientId);
+    clients.delete(clientId);
+}
+
+// The lobby is always open and climbs the configured tower
+createRoom(LOBBY_CODE, {
+    name: 'Lobby',
+    seed: TOWER_SEED
+});
 
 // Log server start
 console.log(`Starting server on port ${PORT}...`);
 
 // Handle new WebSocket client connections
-wss.on('connection', (socket) => {
+wss.on('connection', (socket, request) => {
     // Assign a unique ID to this client
     const clientId = nextClientId++;
     
     // Store the client
     clients.set(clientId, {
         ws: socket,
+        room: null,
+        format: protocol.FORMATS.JSON, // Until the client says hello
+        ackSeq: 0, // Last snapshot the client acknowledged
         position: { x: 0, y: 0, z: 0, rotation: 0, animation: 'idle' }
     });
     
@@ -56,15 +954,21 @@ wss.on('connection', (socket) => {
         id: clientId
     }));
     
+    // Join the room from the connection URL (ws://host/?room=CODE), or the lobby
+    const query = url.parse(request.url || '', true).query;
+    const code = normalizeRoomCode(query.room);
+    joinRoom(clientId, code ? getOrCreateRoom(code) : rooms.get(LOBBY_CODE));
+    
     // Handle messages from this client
-    socket.on('message', (message) => {
+    socket.on('message', (message, isBinary) => {
         try {
-            const data = JSON.parse(message);
-            
-            if (data.type === 'position') {
-                // Update the client's position
-                clients.get(clientId).position = data.position;
+            if (isBinary) {
+                // Copy out of the Node.js buffer pool into an ArrayBuffer of its own
+                handleBinaryMessage(clientId, message.buffer.slice(message.byteOffset, message.byteOffset + message.byteLength));
+                return;
             }
+            
+            handleClientMessage(clientId, JSON.parse(message));
         } catch (error) {
             console.error(`Error processing message from client ${clientId}:`, error);
         }
@@ -73,7 +977,7 @@ wss.on('connection', (socket) => {
     // Handle client disconnection
     socket.on('close', () => {
         // Remove the client
-        clients.delete(clientId);
+        removeClient(clientId);
         console.log(`Client ${clientId} disconnected. Total clients: ${clients.size}`);
     });
     
@@ -83,37 +987,12 @@ wss.on('connection', (socket) => {
         
         // Remove the client if still in the map
         if (clients.has(clientId)) {
-            clients.delete(clientId);
+            removeClient(clientId);
             console.log(`Client ${clientId} removed due to error. Total clients: ${clients.size}`);
         }
     });
 });
 
-// Broadcast player positions to all clients at regular intervals
-setInterval(() => {
-    if (clients.size > 0) {
-        // Collect all client positions
-        const positions = {};
-        
-        clients.forEach((client, id) => {
-            positions[id] = client.position;
-        });
-        
-        // Create the broadcast message
-        const message = JSON.stringify({
-            type: 'positions',
-            positions: positions
-        });
-        
-        // Send to all connected clients
-        clients.forEach((client) => {
-            if (client.ws.readyState === WebSocket.OPEN) {
-                client.ws.send(message);
-            }
-        });
-    }
-}, BROADCAST_INTERVAL);
-
 // Start the server
 server.listen(PORT, () => {
     console.log(`Server running at http://localhost:${PORT}/`);
@@ -129,6 +1008,9 @@ wss.on('error', (error) => {
 process.on('SIGINT', () => {
     console.log('Server shutting down...');
     
+    // Stop every room's broadcast loop
+    rooms.forEach((room) => clearInterval(room.broadcastTimer));
+    
     // Close all client connections
     wss.clients.forEach((client) => {
         client.terminate();